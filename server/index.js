@@ -9,8 +9,25 @@ const path = require('path');
 
 // 服務模組
 const configManager = require('./services/config-manager');
-const minimaxParser = require('./services/minimax-parser');
+const configValidator = require('./services/config-validator');
+const { ConfigValidationError } = configValidator;
+const { MBTICoverageError } = require('./services/mbti-coverage');
+const visualRules = require('./services/visual-rules');
+const endingTemplate = require('./services/ending-template');
+const endingVariants = require('./services/ending-variants');
 const ragicClient = require('./integrations/ragic/client');
+const jsonBuilder = require('./services/json-builder');
+const jsonValidator = require('./services/json-validator');
+const lyricsParser = require('./services/lyrics-parser');
+const imageTimeline = require('./services/image-timeline');
+const transcription = require('./services/transcription');
+const lyricsAligner = require('./services/lyrics-aligner');
+const upstream = require('./services/upstream');
+const dataCache = require('./services/data-cache');
+const batchRunner = require('./services/batch-runner');
+const jobQueue = require('./services/job-queue');
+const uploadLog = require('./services/upload-log');
+const { JobStateError } = jobQueue;
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -35,6 +52,22 @@ app.get('/api/health', (req, res) => {
 // 設定 API
 // ========================================
 
+// 設定驗證失敗回 400 並附上欄位錯誤；MBTI 有缺漏回 409 要求確認（?confirm=1）；其他錯誤回 500
+function sendConfigError(res, error) {
+    if (error instanceof ConfigValidationError) {
+        return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+    }
+    if (error instanceof MBTICoverageError) {
+        return res.status(409).json({
+            success: false,
+            error: error.message,
+            requiresConfirmation: true,
+            coverage: error.coverage
+        });
+    }
+    res.status(500).json({ success: false, error: error.message });
+}
+
 // 取得所有設定
 app.get('/api/config', (req, res) => {
     try {
@@ -44,20 +77,118 @@ app.get('/api/config', (req, res) => {
     }
 });
 
+// 取得生效中的設定（套用設定檔與地區後），?profile= 指定設定檔、?region= 指定地區
+app.get('/api/config/effective', (req, res) => {
+    try {
+        const profile = req.query.profile || configManager.getActiveProfile();
+        if (req.query.profile && !configManager.getProfile(req.query.profile)) {
+            return res.status(404).json({ success: false, error: `找不到設定檔: ${req.query.profile}` });
+        }
+        res.json(configManager.getEffectiveConfig(profile, req.query.region));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 地區覆蓋
+app.get('/api/config/regions', (req, res) => {
+    try {
+        res.json({ success: true, regions: configManager.getRegionOverrides() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 某地區生效中的設定，?profile= 可同時指定設定檔
+app.get('/api/config/regions/:region', (req, res) => {
+    try {
+        const { region } = req.params;
+        const profile = req.query.profile || configManager.getActiveProfile();
+        if (req.query.profile && !configManager.getProfile(req.query.profile)) {
+            return res.status(404).json({ success: false, error: `找不到設定檔: ${req.query.profile}` });
+        }
+
+        const key = configManager.resolveRegion(region);
+        res.json({
+            success: true,
+            region: key || region,
+            overrides: key ? configManager.getRegionOverrides()[key] : {},
+            effective: configManager.getEffectiveConfig(profile, region)
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 設定地區覆蓋（整個取代）：body { customEnding: {...}, mbtiColorGroups: {...}, ... }
+app.post('/api/config/regions/:region', (req, res) => {
+    try {
+        const success = configManager.setRegionOverride(req.params.region, req.body);
+        res.json({ success });
+    } catch (error) {
+        sendConfigError(res, error);
+    }
+});
+
+app.delete('/api/config/regions/:region', (req, res) => {
+    try {
+        const removed = configManager.deleteRegionOverride(req.params.region);
+        if (!removed) {
+            return res.status(404).json({ success: false, error: '找不到地區設定' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        sendConfigError(res, error);
+    }
+});
+
 // 更新設定
 app.post('/api/config', (req, res) => {
     try {
-        const success = configManager.updateConfig(req.body);
+        const success = configManager.updateConfig(req.body, { allowGaps: req.query.confirm === '1' });
         res.json({ success, message: success ? '設定已儲存' : '儲存失敗' });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendConfigError(res, error);
+    }
+});
+
+// 設定歷史
+app.get('/api/config/history', (req, res) => {
+    try {
+        res.json({ success: true, history: configManager.getHistory() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/config/history/:id/diff', (req, res) => {
+    try {
+        const diff = configManager.getHistoryDiff(req.params.id, req.query.against);
+        if (!diff) {
+            return res.status(404).json({ success: false, error: '找不到設定快照' });
+        }
+        res.json({ success: true, ...diff });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/api/config/history/:id/restore', (req, res) => {
+    try {
+        const result = configManager.restoreHistory(req.params.id);
+        if (result === null) {
+            return res.status(404).json({ success: false, error: '找不到設定快照' });
+        }
+        res.json({ success: result, message: result ? '設定已還原' : '還原失敗' });
+    } catch (error) {
+        sendConfigError(res, error);
     }
 });
 
 // MBTI 顏色組別
 app.get('/api/config/mbti-colors', (req, res) => {
     try {
-        res.json(configManager.getMBTIColorGroups());
+        res.json(configManager.getSection('mbtiColorGroups'));
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -65,17 +196,35 @@ app.get('/api/config/mbti-colors', (req, res) => {
 
 app.post('/api/config/mbti-colors', (req, res) => {
     try {
-        const success = configManager.setMBTIColorGroups(req.body);
+        const success = configManager.setMBTIColorGroups(req.body, { allowGaps: req.query.confirm === '1' });
         res.json({ success });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendConfigError(res, error);
+    }
+});
+
+// MBTI 顏色覆蓋檢查：16 種類型各自套用哪一組、缺漏與重複（?profile=、?region= 檢查生效中的設定）
+app.get('/api/config/mbti-colors/coverage', withProfile((req, res) => {
+    try {
+        res.json({ success: true, ...configManager.getMBTIColorCoverage(null, req.query.region) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+}));
+
+// 檢查尚未儲存的顏色組：body { male: [...], female: [...] }
+app.post('/api/config/mbti-colors/coverage', (req, res) => {
+    try {
+        res.json({ success: true, ...configManager.getMBTIColorCoverage(req.body || {}) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
 // MBTI 視覺參數
 app.get('/api/config/mbti-visual', (req, res) => {
     try {
-        res.json(configManager.getMBTIVisualParams());
+        res.json(configManager.getSection('mbtiVisualParams'));
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -86,14 +235,34 @@ app.post('/api/config/mbti-visual', (req, res) => {
         const success = configManager.setMBTIVisualParams(req.body);
         res.json({ success });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendConfigError(res, error);
+    }
+});
+
+// 視覺規則預覽：16 種類型的計算結果（?identity=A|T、?profile=、?region=）
+app.get('/api/config/mbti-visual/preview', withProfile((req, res) => {
+    try {
+        const params = configManager.getMBTIVisualParams(req.query.region);
+        res.json({ success: true, preview: visualRules.preview(params, req.query.identity || null) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+}));
+
+// 預覽尚未儲存的視覺參數：body { params, identity }
+app.post('/api/config/mbti-visual/preview', (req, res) => {
+    try {
+        const { params = {}, identity = null } = req.body || {};
+        res.json({ success: true, preview: visualRules.preview(params, identity) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
 // 專屬結尾設定
 app.get('/api/config/custom-ending', (req, res) => {
     try {
-        res.json(configManager.getCustomEnding());
+        res.json(configManager.getSection('customEnding'));
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -104,14 +273,49 @@ app.post('/api/config/custom-ending', (req, res) => {
         const success = configManager.setCustomEnding(req.body);
         res.json({ success });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendConfigError(res, error);
     }
 });
 
+// 結尾模板預覽：body { template, data? }（沒帶 data 時用示範資料），模板有錯回 400
+// 不帶 template 時依 data 的 MBTI / 性別選出結尾版本（和產生 JSON 時相同，可帶 profile）
+app.post('/api/config/custom-ending/preview', withProfile((req, res) => {
+    try {
+        const { template, data = endingTemplate.SAMPLE_DATA } = req.body || {};
+
+        if (typeof template === 'string') {
+            configValidator.assertTemplate(template);
+            return res.json({ success: true, text: endingTemplate.render(template, data || {}) });
+        }
+
+        const variant = jsonBuilder.selectEndingVariant(data || {}, data?.ragicCode);
+        if (!variant) {
+            return res.json({ success: true, text: '', variant: null });
+        }
+        res.json({
+            success: true,
+            text: endingTemplate.render(variant.template, data || {}),
+            variant: { id: variant.id, bucket: variant.bucket }
+        });
+    } catch (error) {
+        sendConfigError(res, error);
+    }
+}));
+
+// 結尾版本查詢：某個 MBTI + 性別會用哪一組、每個版本的機率（?mbti=INFP&gender=female，可帶 profile、region）
+app.get('/api/config/custom-ending/variants/resolve', withProfile((req, res) => {
+    try {
+        const ending = configManager.getCustomEnding(req.query.region);
+        res.json({ success: true, ...endingVariants.resolve(ending, req.query) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+}));
+
 // 圖片分類關鍵字
 app.get('/api/config/image-keywords', (req, res) => {
     try {
-        res.json(configManager.getImageKeywords());
+        res.json(configManager.getSection('imageKeywords'));
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -122,14 +326,19 @@ app.post('/api/config/image-keywords', (req, res) => {
         const success = configManager.setImageKeywords(req.body);
         res.json({ success });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendConfigError(res, error);
     }
 });
 
 // 通知設定
+// telegram.botTokenConfigured：環境變數 TELEGRAM_BOT_TOKEN 是否已設定（Token 本身不回傳）
 app.get('/api/config/notifications', (req, res) => {
     try {
-        res.json(configManager.getNotifications());
+        const notifications = configManager.getNotifications();
+        res.json({
+            ...notifications,
+            telegram: { ...notifications.telegram, botTokenConfigured: Boolean(configManager.getTelegramBotToken()) }
+        });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -140,7 +349,7 @@ app.post('/api/config/notifications', (req, res) => {
         const success = configManager.setNotifications(req.body);
         res.json({ success, message: success ? '通知設定已儲存' : '儲存失敗' });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendConfigError(res, error);
     }
 });
 
@@ -148,19 +357,20 @@ app.post('/api/config/notifications', (req, res) => {
 app.post('/api/config/notifications/test', async (req, res) => {
     try {
         const { telegram } = configManager.getNotifications();
+        const botToken = configManager.getTelegramBotToken();
         
-        if (!telegram.enabled || !telegram.botToken || !telegram.chatId) {
+        if (!telegram.enabled || !botToken || !telegram.chatId) {
             return res.status(400).json({ 
                 success: false, 
-                message: '請先設定並啟用 Telegram 通知' 
+                message: '請先設定並啟用 Telegram 通知（Bot Token 放在環境變數 TELEGRAM_BOT_TOKEN）' 
             });
         }
 
-        const fetch = require('node-fetch');
-        const url = `https://api.telegram.org/bot${telegram.botToken}/sendMessage`;
+        const url = `https://api.telegram.org/bot${botToken}/sendMessage`;
         
-        const response = await fetch(url, {
+        const response = await upstream.fetch(url, {
             method: 'POST',
+            target: 'notification',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 chat_id: telegram.chatId,
@@ -188,7 +398,7 @@ app.post('/api/config/notifications/test', async (req, res) => {
 // 字幕設定
 app.get('/api/config/subtitle', (req, res) => {
     try {
-        res.json(configManager.getSubtitleStyles());
+        res.json(configManager.getSection('subtitleStyles'));
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -199,14 +409,14 @@ app.post('/api/config/subtitle', (req, res) => {
         const success = configManager.setSubtitleStyles(req.body);
         res.json({ success });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        sendConfigError(res, error);
     }
 });
 
 // 標題設定
 app.get('/api/config/title', (req, res) => {
     try {
-        res.json(configManager.getTitleStyles());
+        res.json(configManager.getSection('titleStyles'));
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -216,17 +426,347 @@ app.post('/api/config/title', (req, res) => {
     try {
         const success = configManager.setTitleStyles(req.body);
         res.json({ success });
+    } catch (error) {
+        sendConfigError(res, error);
+    }
+});
+
+// 語音識別設定
+app.get('/api/config/transcription', (req, res) => {
+    try {
+        res.json(configManager.getTranscriptionSettings());
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+app.post('/api/config/transcription', (req, res) => {
+    try {
+        const success = configManager.setTranscriptionSettings(req.body);
+        res.json({ success });
+    } catch (error) {
+        sendConfigError(res, error);
+    }
+});
+
+// Ragic 連線設定（backend: 'n8n' / 'rest' / 'fake'）
+app.get('/api/config/ragic', (req, res) => {
+    try {
+        res.json(configManager.getRagicSettings());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/config/ragic', (req, res) => {
+    try {
+        const { backend } = req.body || {};
+        if (backend && !ragicClient.backends[backend]) {
+            return res.status(400).json({ success: false, error: `未知的 Ragic 後端: ${backend}` });
+        }
+        const success = configManager.setRagicSettings(req.body);
+        res.json({ success });
+    } catch (error) {
+        sendConfigError(res, error);
+    }
+});
+
+// Ragic 欄位對照：mappings 為實際使用的對照表，overrides 為和預設不同的部分
+app.get('/api/config/ragic-fields', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            mappings: configManager.getRagicFieldMappings(),
+            overrides: configManager.getRagicFieldOverrides()
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 更新欄位對照：body 為完整或部分對照表，沒傳的欄位維持目前設定（{} 表示全部還原成預設）
+app.post('/api/config/ragic-fields', (req, res) => {
+    try {
+        const success = configManager.setRagicFieldMappings(req.body || {});
+        res.json({ success, overrides: configManager.getRagicFieldOverrides() });
+    } catch (error) {
+        sendConfigError(res, error);
+    }
+});
+
+// 資料快取設定（TTL 單位為秒，0 表示不快取）
+app.get('/api/config/cache', (req, res) => {
+    try {
+        res.json(configManager.getCacheSettings());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/config/cache', (req, res) => {
+    try {
+        const success = configManager.setCacheSettings(req.body);
+        res.json({ success });
+    } catch (error) {
+        sendConfigError(res, error);
+    }
+});
+
+// 外部服務呼叫模式（mode: 'live' / 'record' / 'replay'），effective 為實際生效的模式（環境變數優先）
+app.get('/api/config/upstream', (req, res) => {
+    try {
+        res.json({ ...configManager.getUpstreamSettings(), effective: upstream.getSettings() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/config/upstream', (req, res) => {
+    try {
+        const success = configManager.setUpstreamSettings(req.body);
+        res.json({ success, effective: upstream.getSettings() });
+    } catch (error) {
+        sendConfigError(res, error);
+    }
+});
+
+// 外部服務連線狀態（各主機的斷路器）
+app.get('/api/upstream/status', (req, res) => {
+    try {
+        res.json({ success: true, mode: upstream.getSettings().mode, breakers: upstream.getBreakerStatus() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 手動重置斷路器（確認外部服務已恢復時使用）
+app.post('/api/upstream/status/reset', (req, res) => {
+    try {
+        upstream.resetBreakers();
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 列出錄製的外部服務回應
+app.get('/api/upstream/fixtures', (req, res) => {
+    try {
+        res.json({ success: true, ...upstream.getSettings(), fixtures: upstream.listFixtures() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ========================================
+// 設定檔（Profile）API
+// ========================================
+
+app.get('/api/profiles', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            active: configManager.getActiveProfile(),
+            profiles: configManager.listProfiles()
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 建立或更新：body { id, name, description, overrides }
+app.post('/api/profiles', (req, res) => {
+    try {
+        const profile = configManager.saveProfile(req.body || {});
+        res.json({ success: true, profile });
+    } catch (error) {
+        sendProfileError(res, error);
+    }
+});
+
+// 匯入：body 為匯出的 JSON，可用 ?id= 改名、?overwrite=1 覆蓋
+app.post('/api/profiles/import', (req, res) => {
+    try {
+        const profile = configManager.importProfile(req.body, {
+            id: req.query.id,
+            overwrite: req.query.overwrite === '1'
+        });
+        res.json({ success: true, profile });
+    } catch (error) {
+        sendProfileError(res, error);
+    }
+});
+
+// 切換啟用中的設定檔：body { id }（空字串表示只用基本設定）
+app.post('/api/profiles/active', (req, res) => {
+    try {
+        const { id = '' } = req.body || {};
+        if (id && !configManager.getProfile(id)) {
+            return res.status(404).json({ success: false, error: `找不到設定檔: ${id}` });
+        }
+        const success = configManager.setActiveProfile(id);
+        res.json({ success, active: configManager.getActiveProfile() });
+    } catch (error) {
+        sendConfigError(res, error);
+    }
+});
+
+app.get('/api/profiles/:id', (req, res) => {
+    try {
+        const profile = configManager.getProfile(req.params.id);
+        if (!profile) {
+            return res.status(404).json({ success: false, error: '找不到設定檔' });
+        }
+        res.json({ success: true, profile });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/api/profiles/:id/export', (req, res) => {
+    try {
+        const exported = configManager.exportProfile(req.params.id);
+        if (!exported) {
+            return res.status(404).json({ success: false, error: '找不到設定檔' });
+        }
+        res.setHeader('Content-Disposition', `attachment; filename="soultalk-profile-${req.params.id}.json"`);
+        res.json(exported);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 複製：body { id, name?, description? }
+app.post('/api/profiles/:id/copy', (req, res) => {
+    try {
+        const profile = configManager.copyProfile(req.params.id, req.body || {});
+        if (!profile) {
+            return res.status(404).json({ success: false, error: '找不到設定檔' });
+        }
+        res.json({ success: true, profile });
+    } catch (error) {
+        sendProfileError(res, error);
+    }
+});
+
+app.delete('/api/profiles/:id', (req, res) => {
+    try {
+        const removed = configManager.deleteProfile(req.params.id);
+        if (!removed) {
+            return res.status(404).json({ success: false, error: '找不到設定檔' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 設定檔內容錯誤回 400
+function sendProfileError(res, error) {
+    if (error instanceof ConfigValidationError) {
+        return sendConfigError(res, error);
+    }
+    res.status(400).json({ success: false, error: error.message });
+}
+
+// 單次呼叫指定設定檔：?profile= 或 body.profile，不影響其他同時進行的請求
+function withProfile(handler) {
+    return (req, res) => {
+        const profile = req.query.profile || (req.body && req.body.profile);
+        if (profile && !configManager.getProfile(profile)) {
+            return res.status(404).json({ success: false, error: `找不到設定檔: ${profile}` });
+        }
+        return configManager.runWithProfile(profile, () => handler(req, res));
+    };
+}
+
+// 在工作佇列執行：?async=1 時建立工作後馬上回傳 202 與工作摘要（用 GET /api/jobs/:id/events 接收進度），
+// 否則等工作結束再用 respond(job) 回應，失敗時丟出工作的錯誤
+async function runJob(req, res, type, params, respond) {
+    const job = jobQueue.add(type, params);
+    if (req.query.async === '1') {
+        return res.status(202).json({ success: true, job: jobQueue.summary(job) });
+    }
+
+    const finished = await jobQueue.wait(job.id);
+    if (finished.status === 'failed') {
+        throw new Error(finished.error);
+    }
+    respond(finished);
+}
+
+// 上傳紀錄用的來源資訊（沒有登入機制，上傳者可用 body uploadedBy 或 X-Uploaded-By 標頭指定）
+function getClientInfo(req) {
+    return {
+        ip: req.ip,
+        forwardedFor: req.get('X-Forwarded-For') || '',
+        userAgent: req.get('User-Agent') || '',
+        uploadedBy: (req.body && req.body.uploadedBy) || req.get('X-Uploaded-By') || ''
+    };
+}
+
+// ========================================
+// 資料快取 API
+// ========================================
+
+// 列出目前的快取（不含內容）
+app.get('/api/cache', (req, res) => {
+    try {
+        res.json({ success: true, ...dataCache.list() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 清除某個代碼的 Ragic 快取（MV 與語音模式）
+app.delete('/api/cache/:code', (req, res) => {
+    try {
+        const cleared = dataCache.deleteCode(req.params.code);
+        if (cleared.length === 0) {
+            return res.status(404).json({ success: false, error: `沒有這個代碼的快取: ${req.params.code}` });
+        }
+        res.json({ success: true, cleared });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 清除全部快取
+app.delete('/api/cache', (req, res) => {
+    try {
+        dataCache.clear();
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // ========================================
 // Ragic 資料 API
 // ========================================
 
-// 取得 MV 資料
-app.get('/api/mv/fetch/:code', async (req, res) => {
+// 列出 Ragic 後端（是否已設定、目前使用哪一個）
+app.get('/api/ragic/backends', async (req, res) => {
+    try {
+        res.json({ success: true, backends: await ragicClient.listBackends() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 驗證欄位對照：用一筆實際資料列出每個欄位有值 / 空的 / 找不到，找不到的會推薦可能的欄位（?mode=mv|audio）
+app.get('/api/ragic/verify/:code', async (req, res) => {
+    try {
+        const mode = req.query.mode === 'audio' ? 'audio' : 'mv';
+        const report = await ragicClient.verifyFields(req.params.code, mode);
+        res.json({ success: true, code: req.params.code, mode, ...report });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 取得 MV 資料（?refresh=1 略過快取重新查詢）
+app.get('/api/mv/fetch/:code', withProfile(async (req, res) => {
     try {
         const { code } = req.params;
         console.log(`\n${'='.repeat(50)}`);
@@ -234,37 +774,17 @@ app.get('/api/mv/fetch/:code', async (req, res) => {
         console.log(`  - 代碼: ${code}`);
         console.log(`${'='.repeat(50)}`);
 
-        let data = await ragicClient.fetchByCode(code, 'mv');
-
-        // 檢查是否需要解析 Minimax URL
-        if (data.audioUrl && minimaxParser.isMinimaxUrl(data.audioUrl)) {
-            console.log('\n🎵 偵測到 Minimax URL，開始解析...');
-            const minimaxData = await minimaxParser.parse(data.audioUrl);
-            
-            if (minimaxData.audioUrl) {
-                data.audioUrl = minimaxData.audioUrl;
-            }
-            if (!data.lyrics && minimaxData.lyrics) {
-                data.lyrics = minimaxData.lyrics;
-            }
-            if (!data.songTitle && minimaxData.songTitle) {
-                data.songTitle = minimaxData.songTitle;
-            }
-            if (!data.artist && minimaxData.artist) {
-                data.artist = minimaxData.artist;
-            }
-        }
-
-        res.json({ success: true, data });
+        await runJob(req, res, 'fetch', { code, mode: 'mv', refresh: req.query.refresh === '1' },
+            job => res.json({ success: true, data: job.result }));
 
     } catch (error) {
         console.error('❌ API 錯誤:', error.message);
         res.status(500).json({ success: false, error: error.message });
     }
-});
+}));
 
-// 取得語音資料
-app.get('/api/audio/fetch/:code', async (req, res) => {
+// 取得語音資料（?refresh=1 略過快取重新查詢）
+app.get('/api/audio/fetch/:code', withProfile(async (req, res) => {
     try {
         const { code } = req.params;
         console.log(`\n${'='.repeat(50)}`);
@@ -272,13 +792,135 @@ app.get('/api/audio/fetch/:code', async (req, res) => {
         console.log(`  - 代碼: ${code}`);
         console.log(`${'='.repeat(50)}`);
 
-        const data = await ragicClient.fetchByCode(code, 'audio');
-        res.json({ success: true, data });
+        await runJob(req, res, 'fetch', { code, mode: 'audio', refresh: req.query.refresh === '1' },
+            job => res.json({ success: true, data: job.result }));
 
     } catch (error) {
         console.error('❌ API 錯誤:', error.message);
         res.status(500).json({ success: false, error: error.message });
     }
+}));
+
+// ========================================
+// JSON 產生 API
+// ========================================
+
+// 產生 JSON：body 可帶 code（由伺服器載入）或 data（已載入的資料）
+async function handleBuild(mode, req, res) {
+    try {
+        const { code, data, profile, ...options } = req.body || {};
+
+        if (!code && !data) {
+            return res.status(400).json({ success: false, error: '請提供 code 或 data' });
+        }
+
+        console.log(`\n📦 API 請求: 產生 ${mode.toUpperCase()} JSON${code ? ` (代碼: ${code})` : ''}`);
+
+        await runJob(req, res, 'build', { mode, code, data, options, refresh: req.query.refresh === '1' },
+            job => res.json({ success: true, ...job.result }));
+
+    } catch (error) {
+        console.error('❌ 產生 JSON 錯誤:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+}
+
+app.post('/api/mv/build', withProfile((req, res) => handleBuild('mv', req, res)));
+app.post('/api/audio/build', withProfile((req, res) => handleBuild('audio', req, res)));
+
+// 預覽圖片時間軸
+app.post('/api/mv/image-timeline', withProfile((req, res) => {
+    try {
+        const { data = {}, duration, seed, slideshow } = req.body || {};
+        const timeline = imageTimeline.generate({
+            images: data.images,
+            duration: duration || data.duration,
+            seed: seed !== undefined ? seed : (data.ragicCode || ''),
+            slideshow,
+            region: data.region
+        });
+        res.json({ success: true, imageTimeline: timeline });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+}));
+
+// ========================================
+// 歌詞時間軸 API
+// ========================================
+
+// 匯入 LRC / SRT / VTT，回傳 lyricsTimeline
+app.post('/api/lyrics/import', (req, res) => {
+    try {
+        const { content, format, duration } = req.body || {};
+        const result = lyricsParser.parse(content, { format, duration });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('❌ 歌詞匯入錯誤:', error.message);
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// ========================================
+// 語音識別 API
+// ========================================
+
+// 列出可用的 Provider
+app.get('/api/transcribe/providers', async (req, res) => {
+    try {
+        res.json({ success: true, providers: await transcription.listProviders() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 建立識別工作：body { audioUrl, mode, language?, provider?, duration?, text? }
+app.post('/api/transcribe', (req, res) => {
+    try {
+        const job = transcription.createJob(req.body || {});
+        res.status(202).json({ success: true, job });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// 查詢識別工作
+app.get('/api/transcribe/:id', (req, res) => {
+    const job = transcription.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: '找不到識別工作' });
+    }
+    res.json({ success: true, job });
+});
+
+// 歌詞對齊：body { audioUrl, lyrics, characters?, duration? }
+// 歌詞本身有時間標記（LRC / SRT / VTT）時直接解析，不做對齊
+app.post('/api/align', async (req, res) => {
+    try {
+        const { audioUrl, lyrics, characters, duration } = req.body || {};
+        if (!audioUrl || !lyrics) {
+            return res.status(400).json({ success: false, error: '請提供 audioUrl 與 lyrics' });
+        }
+
+        // 在工作佇列執行，伺服器重開後會重新對齊
+        await runJob(req, res, 'align', { audioUrl, lyrics, characters: !!characters, duration: Number(duration) || null },
+            job => res.json({ success: true, jobId: job.id, ...job.result }));
+
+    } catch (error) {
+        console.error('❌ 歌詞對齊錯誤:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 驗證 JSON
+app.post('/api/validate', (req, res) => {
+    try {
+        const { mode, jsonData } = req.body || {};
+        const { valid, errors } = jsonValidator.validate(jsonData, mode);
+        res.json({ success: true, valid, errors });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
 });
 
 // 上傳 JSON 到 Ragic
@@ -292,18 +934,21 @@ app.post('/api/upload', async (req, res) => {
         console.log(`  - 模式: ${mode}`);
         console.log(`${'='.repeat(50)}`);
 
-        const result = await ragicClient.uploadJSON({
-            queryCode,
-            mvCode,
-            audioCode,
-            mode,
-            jsonData
-        });
-
-        // 發送通知
-        await sendNotification(`✅ ${mode.toUpperCase()} JSON 上傳成功\n代碼: ${queryCode}`);
+        // 上傳前驗證 JSON
+        const validation = jsonValidator.validate(jsonData, mode);
+        if (!validation.valid) {
+            console.error('❌ JSON 驗證失敗:');
+            validation.errors.forEach(e => console.error(`  - ${e.path}: ${e.message}`));
+            return res.status(422).json({
+                success: false,
+                error: 'JSON 驗證失敗',
+                errors: validation.errors
+            });
+        }
 
-        res.json(result);
+        // 在工作佇列執行（失敗會自動重試，伺服器重開後會重新上傳），成功後發送通知
+        await runJob(req, res, 'upload', { queryCode, mvCode, audioCode, mode, jsonData, client: getClientInfo(req) },
+            job => res.json({ ...job.result, jobId: job.id }));
 
     } catch (error) {
         console.error('❌ 上傳錯誤:', error.message);
@@ -311,18 +956,262 @@ app.post('/api/upload', async (req, res) => {
     }
 });
 
+// ========================================
+// 上傳紀錄 API
+// ========================================
+
+// 上傳歷史：?code=&mode=&status=success|failed&limit=（新的在前，不含 JSON）
+app.get('/api/uploads', (req, res) => {
+    try {
+        const { code, mode, status, limit } = req.query;
+        res.json({ success: true, uploads: uploadLog.list({ code, mode, status, limit }) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 單筆紀錄（含 JSON）
+app.get('/api/uploads/:id', (req, res) => {
+    try {
+        const upload = uploadLog.get(req.params.id);
+        if (!upload) {
+            return res.status(404).json({ success: false, error: '找不到上傳紀錄' });
+        }
+        res.json({ success: true, upload });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 比對版本：?against=<id>，沒有指定時和同一個代碼上一次成功上傳的版本比較
+app.get('/api/uploads/:id/diff', (req, res) => {
+    try {
+        const diff = uploadLog.diff(req.params.id, req.query.against);
+        if (!diff) {
+            return res.status(404).json({ success: false, error: '找不到上傳紀錄' });
+        }
+        res.json({ success: true, ...diff });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 把舊版本重新上傳（一樣先驗證，支援 ?async=1）
+app.post('/api/uploads/:id/reupload', async (req, res) => {
+    try {
+        const upload = uploadLog.get(req.params.id);
+        if (!upload) {
+            return res.status(404).json({ success: false, error: '找不到上傳紀錄' });
+        }
+
+        console.log(`\n📤 API 請求: 重新上傳 ${upload.code} (${upload.mode})，紀錄 ${upload.id}`);
+
+        const validation = jsonValidator.validate(upload.jsonData, upload.mode);
+        if (!validation.valid) {
+            return res.status(422).json({
+                success: false,
+                error: 'JSON 驗證失敗',
+                errors: validation.errors
+            });
+        }
+
+        await runJob(req, res, 'upload', {
+            queryCode: upload.code,
+            mvCode: upload.mvCode,
+            audioCode: upload.audioCode,
+            mode: upload.mode,
+            jsonData: upload.jsonData,
+            client: getClientInfo(req),
+            reuploadOf: upload.id
+        }, job => res.json({ ...job.result, jobId: job.id }));
+
+    } catch (error) {
+        console.error('❌ 重新上傳錯誤:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ========================================
+// 批次產生 API
+// ========================================
+
+// 批次產生並上傳：body { codes, mode, concurrency?, upload?, refresh?, profile? }
+// 建立批次工作後馬上回傳，用 GET /api/jobs/:id 查詢進度與報告
+app.post('/api/batch', withProfile((req, res) => {
+    let params;
+    try {
+        params = batchRunner.normalizeParams(req.body || {});
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    try {
+        console.log(`\n${'='.repeat(50)}`);
+        console.log(`📦 API 請求: 批次 ${params.mode.toUpperCase()}（${params.codes.length} 個代碼）`);
+        console.log(`${'='.repeat(50)}`);
+
+        const job = jobQueue.add('batch', { ...params, client: getClientInfo(req) });
+        res.status(202).json({ success: true, job });
+
+    } catch (error) {
+        console.error('❌ 批次錯誤:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+}));
+
+// ========================================
+// 工作佇列 API
+// ========================================
+
+// 載入資料與產生 JSON：階段（Ragic / Minimax / 解析網頁 / 音頻長度）在 jsonBuilder 與 minimaxParser 回報
+// 載入與產生 JSON 是頁面等著的互動工作：不佔背景工作的名額，也不把 Ragic / Minimax 資料寫進 data/jobs
+jobQueue.registerHandler('fetch', ({ code, mode, refresh }) => jsonBuilder.fetchData(code, mode, { refresh }), { interactive: true });
+
+jobQueue.registerHandler('build', async ({ mode, code, data, options, refresh }) => {
+    const source = data || await jsonBuilder.fetchData(code, mode, { refresh });
+    jobQueue.stage('build', `產生 ${mode.toUpperCase()} JSON`, 90);
+    return {
+        data: source,
+        json: jsonBuilder.build(mode, source, options),
+        warnings: jsonBuilder.getWarnings(source, options)
+    };
+}, { interactive: true });
+
+jobQueue.registerHandler('transcribe', (params, context) => transcription.runJob(params, context), { maxAttempts: 2 });
+
+jobQueue.registerHandler('align', ({ audioUrl, lyrics, characters, duration }) => {
+    jobQueue.stage('align', '對齊歌詞與音頻', 10);
+    return lyricsAligner.buildTimeline(audioUrl, lyrics, { characters, duration });
+}, { maxAttempts: 2 });
+
+jobQueue.registerHandler('upload', async params => {
+    jobQueue.stage('upload', `上傳 ${params.mode.toUpperCase()} JSON 到 Ragic`, 10);
+    const result = await ragicClient.uploadJSON(params);
+    jobQueue.stage('notify', '發送通知', 90);
+    await sendNotification(
+        `✅ ${params.mode.toUpperCase()} JSON ${params.reuploadOf ? '重新上傳舊版本' : '上傳'}成功\n代碼: ${params.queryCode}`
+    );
+    return result;
+}, { maxAttempts: 3 });
+
+// 每個代碼完成就存一次進度，伺服器重開後從還沒處理的代碼繼續
+jobQueue.registerHandler('batch', async (params, { job, progress, checkpoint }) => {
+    const results = job.state ? [...job.state.results] : [];
+    const report = await batchRunner.run(params, (result, index) => {
+        results[index] = result;
+        checkpoint({ results });
+        progress(results.filter(Boolean).length / params.codes.length * 100);
+    }, results);
+
+    const failedCodes = report.results.filter(r => r.status === 'error').map(r => r.code);
+    await sendNotification(
+        `📦 批次 ${params.mode.toUpperCase()} 完成\n成功: ${report.succeeded} / 失敗: ${report.failed}` +
+        (failedCodes.length > 0 ? `\n失敗代碼: ${failedCodes.join(', ')}` : '')
+    );
+    return report;
+});
+
+// 列出工作：?status=queued|running|failed|done&type=
+app.get('/api/jobs', (req, res) => {
+    try {
+        res.json({ success: true, jobs: jobQueue.list({ status: req.query.status, type: req.query.type }) });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// 單一工作（含參數、進度與結果）
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: '找不到工作' });
+    }
+    res.json({ success: true, job });
+});
+
+// 即時進度（Server-Sent Events）：先補送已經發生的階段，之後推送
+//   stage: { stage, message, at }、progress: { status, progress, attempts, error }、
+//   done: { result } 或 failed: { error, stage, message }，結束後關閉連線
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: '找不到工作' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    let last = null;
+
+    const onStage = (updated, entry) => {
+        if (updated.id === job.id) send('stage', entry);
+    };
+    const onUpdate = updated => {
+        if (updated.id !== job.id) return;
+
+        const progress = { status: job.status, progress: job.progress, attempts: job.attempts, error: job.error };
+        if (JSON.stringify(progress) !== last) {
+            last = JSON.stringify(progress);
+            send('progress', progress);
+        }
+
+        if (job.status === 'done') {
+            send('done', { result: job.result });
+            close();
+        } else if (job.status === 'failed') {
+            const stage = (job.stages || []).find(entry => entry.stage === job.stage);
+            send('failed', { error: job.error, stage: job.stage, message: stage ? stage.message : null });
+            close();
+        }
+    };
+
+    // 每 15 秒送一次註解，避免代理伺服器切斷閒置連線
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+    const close = () => {
+        clearInterval(heartbeat);
+        jobQueue.off('stage', onStage);
+        jobQueue.off('update', onUpdate);
+        res.end();
+    };
+
+    (job.stages || []).forEach(entry => send('stage', entry));
+    jobQueue.on('stage', onStage);
+    jobQueue.on('update', onUpdate);
+    req.on('close', close);
+    onUpdate(job);
+});
+
+// 重跑失敗的工作
+app.post('/api/jobs/:id/retry', (req, res) => {
+    try {
+        const job = jobQueue.retry(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, error: '找不到工作' });
+        }
+        res.json({ success: true, job });
+    } catch (error) {
+        res.status(error instanceof JobStateError ? 409 : 500).json({ success: false, error: error.message });
+    }
+});
+
 // ========================================
 // 通知輔助函數
 // ========================================
 async function sendNotification(message) {
     const { telegram, n8n } = configManager.getNotifications();
+    const botToken = configManager.getTelegramBotToken();
     
     // Telegram 通知
-    if (telegram.enabled && telegram.botToken && telegram.chatId) {
+    if (telegram.enabled && botToken && telegram.chatId) {
         try {
-            const fetch = require('node-fetch');
-            await fetch(`https://api.telegram.org/bot${telegram.botToken}/sendMessage`, {
+            await upstream.fetch(`https://api.telegram.org/bot${botToken}/sendMessage`, {
                 method: 'POST',
+                target: 'notification',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
                     chat_id: telegram.chatId,
@@ -338,9 +1227,10 @@ async function sendNotification(message) {
     // N8N Webhook 通知
     if (n8n.enabled && n8n.webhookUrl) {
         try {
-            const fetch = require('node-fetch');
-            await fetch(n8n.webhookUrl, {
+            await upstream.fetch(n8n.webhookUrl, {
                 method: 'POST',
+                target: 'notification',
+                fixtureKey: message,
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
                     source: 'soultalk-v2',
@@ -377,9 +1267,20 @@ app.get('/ending', (req, res) => {
     res.sendFile(path.join(__dirname, '../public/ending-settings.html'));
 });
 
+app.get('/batch', (req, res) => {
+    res.sendFile(path.join(__dirname, '../public/batch.html'));
+});
+
+app.get('/uploads', (req, res) => {
+    res.sendFile(path.join(__dirname, '../public/uploads.html'));
+});
+
 // ========================================
 // 啟動伺服器
 // ========================================
+// 接續上次沒跑完的工作
+jobQueue.resume();
+
 app.listen(PORT, () => {
     console.log(`\n${'='.repeat(50)}`);
     console.log(`🎵 SoulTalk V2 伺服器啟動成功！`);
@@ -387,6 +1288,8 @@ app.listen(PORT, () => {
     console.log(`📍 本地網址: http://localhost:${PORT}`);
     console.log(`📍 MV 模式: http://localhost:${PORT}/mv`);
     console.log(`📍 語音模式: http://localhost:${PORT}/audio`);
+    console.log(`📍 批次產生: http://localhost:${PORT}/batch`);
+    console.log(`📍 上傳紀錄: http://localhost:${PORT}/uploads`);
     console.log(`📍 設定頁面: http://localhost:${PORT}/settings`);
     console.log(`${'='.repeat(50)}\n`);
 });
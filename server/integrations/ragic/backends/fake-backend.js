@@ -0,0 +1,101 @@
+/**
+ * 假的 Ragic 後端（測試與本機開發用）
+ * 資料存在記憶體，內建 DEMO-MV、DEMO-AUDIO 兩筆示範資料，上傳的 JSON 也只記在記憶體
+ */
+
+const { fieldMappings, listFields } = require('../field-mappings');
+
+const { common, mv, audio } = fieldMappings;
+
+// 用欄位 ID 組出一筆資料，格式和 Ragic / N8N 回應相同（沒填的欄位是空字串）
+function buildRecord(ragicId, fields) {
+    const record = { _ragicId: ragicId };
+    for (const field of listFields(fieldMappings)) {
+        record[field.id] = '';
+    }
+    for (const [field, value] of fields) {
+        record[field.id] = value;
+    }
+    return record;
+}
+
+const SAMPLE_RECORDS = {
+    'DEMO-MV': buildRecord(1, [
+        [common.name, '小明'],
+        [common.gender, '女性'],
+        [common.mbti, 'INFP-T'],
+        [common.region, '台北'],
+        [common.ragicCode, 'DEMO-MV'],
+        [mv.mp3Link2, 'https://example.com/demo/song.mp3'],
+        [mv.songTitle, '星空下的你'],
+        [mv.artist, 'SoulTalk'],
+        [mv.lyrics, '[00:01.00]第一句歌詞\n[00:05.00]第二句歌詞\n[00:09.00]第三句歌詞'],
+        [mv.images.image1, 'https://example.com/demo/cover.jpg'],
+        [mv.imageTitles.title1, '封面'],
+        [mv.images.image2, 'https://example.com/demo/character.png'],
+        [mv.imageTitles.title2, 'Q版'],
+        [mv.images.image3, 'https://example.com/demo/comic.jpg'],
+        [mv.imageTitles.title3, '漫畫圖1']
+    ]),
+    'DEMO-AUDIO': buildRecord(2, [
+        [common.name, '阿華'],
+        [common.gender, '男性'],
+        [common.mbti, 'ENTJ-A'],
+        [common.region, '香港'],
+        [common.ragicCode, 'DEMO-AUDIO'],
+        [audio.mp3Link, 'https://example.com/demo/voice.mp3'],
+        [audio.title, '給未來的自己'],
+        [audio.speaker, '阿華'],
+        [audio.transcript, '這是一段示範逐字稿'],
+        [audio.coverImage, 'https://example.com/demo/audio-cover.jpg']
+    ])
+};
+
+class FakeBackend {
+    constructor() {
+        this.name = 'fake';
+        this.records = new Map(Object.entries(SAMPLE_RECORDS).map(([code, record]) => [code, { ...record }]));
+        this.uploads = [];
+    }
+
+    async isAvailable() {
+        return true;
+    }
+
+    /**
+     * 新增或替換一筆假資料
+     * @param {string} code - Ragic 代碼
+     * @param {object} record - 以欄位 ID 為 key 的資料
+     */
+    setRecord(code, record) {
+        this.records.set(code, { _ragicId: this.records.size + 1, ...record });
+    }
+
+    async fetchRecord(code) {
+        const record = this.records.get(code);
+        if (!record) {
+            throw new Error(`Ragic 找不到代碼: ${code}`);
+        }
+        return { [record._ragicId]: { ...record } };
+    }
+
+    async upload({ queryCode, mvCode, audioCode, mode, jsonData }) {
+        const record = this.records.get(queryCode);
+        if (!record) {
+            throw new Error(`Ragic 找不到代碼: ${queryCode}`);
+        }
+
+        if (mode === 'mv') {
+            record[common.mvCode.id] = mvCode || '';
+            record[mv.mvJson.id] = JSON.stringify(jsonData);
+        } else {
+            record[common.audioCode.id] = audioCode || '';
+            record[audio.audioJson.id] = JSON.stringify(jsonData);
+        }
+
+        this.uploads.push({ queryCode, mode, uploadedAt: new Date().toISOString() });
+        return `fake: 已更新 ${queryCode}`;
+    }
+}
+
+module.exports = FakeBackend;
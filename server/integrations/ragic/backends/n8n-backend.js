@@ -0,0 +1,73 @@
+/**
+ * N8N 後端
+ * 透過 N8N Webhook 查詢與上傳 Ragic 資料（原本的做法）
+ */
+
+const upstream = require('../../../services/upstream');
+
+class N8nBackend {
+    /**
+     * @param {object} settings - configManager 的 ragic 設定
+     */
+    constructor(settings) {
+        this.name = 'n8n';
+        this.settings = settings;
+    }
+
+    get n8n() {
+        return this.settings.n8n || {};
+    }
+
+    async isAvailable() {
+        return Boolean(this.n8n.fetchUrl && this.n8n.uploadUrl);
+    }
+
+    /**
+     * 查詢一筆資料
+     * @param {string} code - Ragic 代碼
+     * @returns {Promise<object>} - Webhook 原始回應：{ "19": { "_ragicId": 19, "1005226": "姓名", ... } }
+     */
+    async fetchRecord(code) {
+        const url = `${this.n8n.fetchUrl}?id=${encodeURIComponent(code)}`;
+        console.log(`  - URL: ${url}`);
+
+        const response = await upstream.fetch(url, { target: 'ragic' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * 上傳 JSON
+     * @param {object} data - { queryCode, mvCode, audioCode, mode, jsonData }
+     * @returns {Promise<string>} - Webhook 回應文字
+     */
+    async upload({ queryCode, mvCode, audioCode, mode, jsonData }) {
+        // 寫入不在 upstream 重送，失敗時由上傳工作重試
+        const response = await upstream.fetch(this.n8n.uploadUrl, {
+            method: 'POST',
+            target: 'ragic',
+            // JSON 內容每次都不同，錄製 / 重播時用代碼與模式比對
+            fixtureKey: `${mode}:${queryCode}`,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                id: queryCode,
+                'mv代碼': mvCode || '',
+                'mv-json': mode === 'mv' ? JSON.stringify(jsonData) : '',
+                'audio代碼': audioCode || '',
+                'audio-json': mode === 'audio' ? JSON.stringify(jsonData) : ''
+            })
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`HTTP ${response.status}: ${errorText}`);
+        }
+        return response.text();
+    }
+}
+
+module.exports = N8nBackend;
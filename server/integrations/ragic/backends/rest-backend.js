@@ -0,0 +1,111 @@
+/**
+ * Ragic REST API 後端
+ * 不經過 N8N，直接用 API Key 呼叫 Ragic HTTP API
+ * - 查詢：GET https://<server>/<account>/<sheetPath>?api&naming=EID&where=<代碼欄位>,eq,<代碼>
+ * - 上傳：POST https://<server>/<account>/<sheetPath>/<ragicId>?api（欄位 ID 為 key）
+ * 欄位 ID 來自欄位對照表（configManager.getRagicFieldMappings()）
+ */
+
+const upstream = require('../../../services/upstream');
+const configManager = require('../../../services/config-manager');
+
+class RestBackend {
+    /**
+     * @param {object} settings - configManager 的 ragic 設定
+     */
+    constructor(settings) {
+        this.name = 'rest';
+        this.settings = settings;
+    }
+
+    get rest() {
+        return this.settings.rest || {};
+    }
+
+    // 金鑰只從環境變數讀取，不存進設定檔，也不會出現在 GET /api/config 與設定快照
+    get apiKey() {
+        return process.env.RAGIC_API_KEY || '';
+    }
+
+    async isAvailable() {
+        return Boolean(this.rest.server && this.rest.account && this.rest.sheetPath && this.apiKey);
+    }
+
+    /**
+     * 查詢一筆資料
+     * @param {string} code - Ragic 代碼
+     * @returns {Promise<object>} - Ragic 原始回應：{ "19": { "_ragicId": 19, "1005226": "姓名", ... } }
+     */
+    async fetchRecord(code) {
+        const { common } = configManager.getRagicFieldMappings();
+        const url = `${this.sheetUrl()}?api&naming=EID&where=${common.ragicCode.id},eq,${encodeURIComponent(code)}`;
+        console.log(`  - URL: ${url}`);
+
+        const data = await this.request(url);
+        if (!data || Object.keys(data).length === 0) {
+            throw new Error(`Ragic 找不到代碼: ${code}`);
+        }
+        return data;
+    }
+
+    /**
+     * 上傳 JSON（先用代碼找到 ragicId，再更新欄位）
+     * @param {object} data - { queryCode, mvCode, audioCode, mode, jsonData }
+     * @returns {Promise<string>} - Ragic 回應文字
+     */
+    async upload({ queryCode, mvCode, audioCode, mode, jsonData }) {
+        const records = await this.fetchRecord(queryCode);
+        const ragicId = Object.keys(records)[0];
+
+        const { common, mv, audio } = configManager.getRagicFieldMappings();
+        const body = {};
+        if (mode === 'mv') {
+            body[common.mvCode.id] = mvCode || '';
+            body[mv.mvJson.id] = JSON.stringify(jsonData);
+        } else {
+            body[common.audioCode.id] = audioCode || '';
+            body[audio.audioJson.id] = JSON.stringify(jsonData);
+        }
+
+        const result = await this.request(`${this.sheetUrl()}/${ragicId}?api`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            fixtureKey: `${mode}:${queryCode}`
+        });
+
+        if (result && result.status === 'ERROR') {
+            throw new Error(`Ragic 回傳錯誤: ${result.msg || JSON.stringify(result)}`);
+        }
+        return JSON.stringify(result);
+    }
+
+    sheetUrl() {
+        const server = this.rest.server.replace(/\/+$/, '');
+        const sheetPath = this.rest.sheetPath.replace(/^\/+|\/+$/g, '');
+        return `${server}/${encodeURIComponent(this.rest.account)}/${sheetPath}`;
+    }
+
+    async request(url, options = {}) {
+        if (!(await this.isAvailable())) {
+            throw new Error('Ragic REST API 尚未設定（server、account、sheetPath 與環境變數 RAGIC_API_KEY）');
+        }
+
+        const response = await upstream.fetch(url, {
+            target: 'ragic',
+            ...options,
+            headers: {
+                ...options.headers,
+                Authorization: `Basic ${this.apiKey}`
+            }
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`HTTP ${response.status}: ${errorText}`);
+        }
+        return response.json();
+    }
+}
+
+module.exports = RestBackend;
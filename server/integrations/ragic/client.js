@@ -1,62 +1,93 @@
 /**
  * Ragic 客戶端
- * 透過 N8N Webhook 取得 Ragic 資料
+ * 透過後端（Backend）取得與上傳 Ragic 資料，後端由設定 ragic.backend 決定：
+ * - n8n：N8N Webhook（原本的做法）
+ * - rest：直接呼叫 Ragic HTTP API
+ * - fake：記憶體裡的示範資料（本機開發用）
+ *
+ * Backend 介面：
+ *   name: string
+ *   isAvailable(): Promise<boolean>
+ *   fetchRecord(code, mode): Promise<object>（Ragic 原始回應，以欄位 ID 為 key）
+ *   upload({ queryCode, mvCode, audioCode, mode, jsonData }): Promise<string>
+ *   （只送一次，不要自己重試；失敗時由上傳工作重試）
  */
 
-const fetch = require('node-fetch');
-const { fieldMappings, getFlatFieldIds } = require('./field-mappings');
+const crypto = require('crypto');
+const fieldVerifier = require('./field-verifier');
 const configManager = require('../../services/config-manager');
+const dataCache = require('../../services/data-cache');
+const uploadLog = require('../../services/upload-log');
+const mbtiNormalizer = require('../../services/mbti-normalizer');
+const N8nBackend = require('./backends/n8n-backend');
+const RestBackend = require('./backends/rest-backend');
+const FakeBackend = require('./backends/fake-backend');
 
 class RagicClient {
     constructor() {
-        // N8N Webhook URLs
-        this.webhookUrls = {
-            fetch: 'https://app.notpro.cc/webhook/soultalk',
-            upload: 'https://app.notpro.cc/webhook/up-mv-json'
+        // 假資料存在記憶體，整個程序共用同一個
+        const fakeBackend = new FakeBackend();
+
+        this.backends = {
+            'n8n': settings => new N8nBackend(settings),
+            'rest': settings => new RestBackend(settings),
+            'fake': () => fakeBackend
         };
+
+        // 上傳中的請求：內容雜湊 → Promise（重複按上傳時共用同一個請求）
+        this.pendingUploads = new Map();
+    }
+
+    /**
+     * 註冊新的後端
+     * @param {string} name - 後端名稱
+     * @param {Function} factory - (settings) => backend
+     */
+    registerBackend(name, factory) {
+        this.backends[name] = factory;
+    }
+
+    /**
+     * 取得後端（環境變數 RAGIC_BACKEND 優先於設定）
+     */
+    getBackend(name) {
+        const settings = configManager.getRagicSettings();
+        const backendName = name || process.env.RAGIC_BACKEND || settings.backend;
+        const factory = this.backends[backendName];
+        if (!factory) {
+            throw new Error(`未知的 Ragic 後端: ${backendName}`);
+        }
+        return factory(settings);
+    }
+
+    async listBackends() {
+        const current = this.getBackend().name;
+        const result = [];
+        for (const name of Object.keys(this.backends)) {
+            const backend = this.getBackend(name);
+            result.push({ name, available: await backend.isAvailable(), active: name === current });
+        }
+        return result;
     }
 
     /**
      * 根據代碼取得 Ragic 資料
      * @param {string} code - Ragic 代碼
      * @param {string} mode - 'mv' 或 'audio'
-     * @returns {Promise<object>} - 處理後的資料
+     * @param {object} options - { refresh: true 表示不使用快取 }
+     * @returns {Promise<object>} - 處理後的資料（cachedAt 為快取時間，重新查詢時為 null）
      */
-    async fetchByCode(code, mode = 'mv') {
-        console.log(`\n🔍 正在透過 N8N 查詢 Ragic 資料...`);
-        console.log(`  - 代碼: ${code}`);
-        console.log(`  - 模式: ${mode}`);
-
+    async fetchByCode(code, mode = 'mv', options = {}) {
         try {
-            // 呼叫 N8N Webhook
-            const url = `${this.webhookUrls.fetch}?id=${encodeURIComponent(code)}`;
-            console.log(`  - URL: ${url}`);
-
-            const response = await fetch(url);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            const rawData = await response.json();
-            console.log(`  - 原始回應類型: ${typeof rawData}`);
-
-            // N8N Webhook 回傳格式: { "19": { "_ragicId": 19, "1005226": "姓名", ... } }
-            // 需要先提取第一個 key 的值
-            let recordData = rawData;
-            if (typeof rawData === 'object' && !Array.isArray(rawData)) {
-                const keys = Object.keys(rawData);
-                if (keys.length > 0 && rawData[keys[0]] && typeof rawData[keys[0]] === 'object') {
-                    recordData = rawData[keys[0]];
-                    console.log(`  - 提取記錄 ID: ${keys[0]}`);
-                }
-            }
+            const { rawData, cachedAt } = await this.fetchRecordCached(code, mode, options.refresh);
+            const recordData = this.extractRecord(rawData);
 
             // 除錯：顯示原始資料欄位
             this.debugRawData(recordData, mode);
 
             // 轉換為應用程式格式
             const result = this.transformData(recordData, mode);
+            result.cachedAt = cachedAt;
             
             console.log(`\n✅ 資料載入成功`);
             console.log(`  - 姓名: ${result.name || '(空)'}`);
@@ -71,12 +102,67 @@ class RagicClient {
         }
     }
 
+    /**
+     * 取得 Ragic 原始資料，有效的快取優先（refresh 時略過快取並重新寫入）
+     * @returns {Promise<{ rawData: object, cachedAt: string|null }>}
+     */
+    async fetchRecordCached(code, mode, refresh = false) {
+        const cacheKey = `${code}:${mode}`;
+        const cached = refresh ? null : dataCache.get('ragic', cacheKey);
+        if (cached) {
+            console.log(`\n💾 使用快取的 Ragic 資料: ${code} (${mode})，快取時間 ${cached.storedAt}`);
+            return { rawData: cached.value, cachedAt: cached.storedAt };
+        }
+
+        const backend = this.getBackend();
+        console.log(`\n🔍 正在透過 ${backend.name} 查詢 Ragic 資料...`);
+        console.log(`  - 代碼: ${code}`);
+        console.log(`  - 模式: ${mode}`);
+
+        const rawData = await backend.fetchRecord(code, mode);
+        console.log(`  - 原始回應類型: ${typeof rawData}`);
+        dataCache.set('ragic', cacheKey, rawData);
+        return { rawData, cachedAt: null };
+    }
+
+    /**
+     * 驗證欄位對照：用一筆實際資料檢查每個欄位有值、空的或找不到
+     * @param {string} code - Ragic 代碼
+     * @param {string} mode - 'mv' 或 'audio'
+     * @returns {Promise<object>} - fieldVerifier.verify() 的報告，加上 backend
+     */
+    async verifyFields(code, mode = 'mv') {
+        const backend = this.getBackend();
+        const record = this.extractRecord(await backend.fetchRecord(code, mode));
+        return {
+            backend: backend.name,
+            ...fieldVerifier.verify(record, configManager.getRagicFieldMappings(), mode)
+        };
+    }
+
+    /**
+     * 回傳格式: { "19": { "_ragicId": 19, "1005226": "姓名", ... } }
+     * 需要先提取第一個 key 的值
+     */
+    extractRecord(rawData) {
+        let recordData = rawData;
+        if (typeof rawData === 'object' && !Array.isArray(rawData)) {
+            const keys = Object.keys(rawData);
+            if (keys.length > 0 && rawData[keys[0]] && typeof rawData[keys[0]] === 'object') {
+                recordData = rawData[keys[0]];
+                console.log(`  - 提取記錄 ID: ${keys[0]}`);
+            }
+        }
+        return recordData;
+    }
+
     /**
      * 除錯：顯示原始資料欄位
      */
     debugRawData(rawData, mode) {
         console.log('\n🔍 原始資料欄位檢查:');
         
+        const fieldMappings = configManager.getRagicFieldMappings();
         const common = fieldMappings.common;
         for (const [key, field] of Object.entries(common)) {
             const value = this.getFieldValue(rawData, field);
@@ -122,6 +208,7 @@ class RagicClient {
      * 轉換資料為應用程式格式
      */
     transformData(rawData, mode) {
+        const fieldMappings = configManager.getRagicFieldMappings();
         const common = fieldMappings.common;
         const modeFields = fieldMappings[mode] || {};
 
@@ -140,6 +227,9 @@ class RagicClient {
             mode: mode
         };
 
+        // MBTI 正規化（INFP-T、infp、INFP（調停者）都辨識為 INFP）
+        result.mbtiInfo = mbtiNormalizer.normalize(result.mbti);
+
         if (mode === 'mv') {
             // MV 模式專用
             const minimaxUrl = this.getFieldValue(rawData, modeFields.minimaxMusicUrl);
@@ -152,7 +242,7 @@ class RagicClient {
             result.lyrics = this.getFieldValue(rawData, modeFields.lyrics);
             
             // 處理圖片
-            result.images = this.extractImages(rawData, modeFields);
+            result.images = this.extractImages(rawData, modeFields, result.region);
             
         } else if (mode === 'audio') {
             // 語音模式專用
@@ -166,15 +256,15 @@ class RagicClient {
             result.coverImage = this.getFieldValue(rawData, modeFields.coverImage);
         }
 
-        // 取得 MBTI 對應的顏色
+        // 取得 MBTI 對應的顏色（套用地區覆蓋）
         if (result.gender && result.mbti) {
-            const colorInfo = configManager.getColorsForMBTI(result.gender, result.mbti);
+            const colorInfo = configManager.getColorsForMBTI(result.gender, result.mbti, result.region);
             result.bgColors = colorInfo.colors;
             result.bgDirection = colorInfo.direction;
             result.colorGroupName = colorInfo.groupName;
             
             // 取得視覺參數
-            const visualParams = configManager.getVisualParamsForMBTI(result.mbti);
+            const visualParams = configManager.getVisualParamsForMBTI(result.mbti, result.region);
             result.visualParams = visualParams;
         }
 
@@ -184,7 +274,7 @@ class RagicClient {
     /**
      * 提取並分類圖片
      */
-    extractImages(rawData, modeFields) {
+    extractImages(rawData, modeFields, region) {
         const images = {
             full: [],
             transparent: [],
@@ -193,7 +283,7 @@ class RagicClient {
             all: []
         };
 
-        const keywords = configManager.getImageKeywords();
+        const keywords = configManager.getImageKeywords(region);
         
         // 定義關鍵字陣列
         const keywordArrays = {
@@ -249,19 +339,33 @@ class RagicClient {
 
     /**
      * 上傳 JSON 到 Ragic
+     * 相同內容的上傳還在進行中時不會再送一次，直接等同一個結果
+     * 每次實際送出的結果（成功或失敗）都記錄在上傳紀錄
+     * @param {object} data - { queryCode, mvCode, audioCode, mode, jsonData, client?, reuploadOf? }
+     *   client：來源資訊（IP、User-Agent、上傳者），reuploadOf：重新上傳的紀錄 ID
      */
     async uploadJSON(data) {
-        console.log('\n📤 準備透過 N8N 上傳到 Ragic...');
-        
         const { queryCode, mvCode, audioCode, mode, jsonData } = data;
-        
-        const requestBody = {
-            id: queryCode,
-            'mv代碼': mvCode || '',
-            'mv-json': mode === 'mv' ? JSON.stringify(jsonData) : '',
-            'audio代碼': audioCode || '',
-            'audio-json': mode === 'audio' ? JSON.stringify(jsonData) : ''
-        };
+        const uploadKey = crypto.createHash('sha1')
+            .update(JSON.stringify([queryCode, mode, mvCode || '', audioCode || '', jsonData]))
+            .digest('hex');
+
+        const pending = this.pendingUploads.get(uploadKey);
+        if (pending) {
+            console.log(`\n📤 相同內容的上傳進行中，等待同一個結果: ${queryCode} (${mode})`);
+            return pending;
+        }
+
+        const upload = this.sendUpload(data)
+            .finally(() => this.pendingUploads.delete(uploadKey));
+        this.pendingUploads.set(uploadKey, upload);
+        return upload;
+    }
+
+    async sendUpload(data) {
+        const { queryCode, mvCode, audioCode, mode, jsonData } = data;
+        const backend = this.getBackend();
+        console.log(`\n📤 準備透過 ${backend.name} 上傳到 Ragic...`);
 
         console.log(`  - 查詢代碼: ${queryCode}`);
         console.log(`  - 模式: ${mode}`);
@@ -270,28 +374,30 @@ class RagicClient {
         console.log(`  - JSON 大小: ${JSON.stringify(jsonData).length} bytes`);
 
         try {
-            const response = await fetch(this.webhookUrls.upload, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`HTTP ${response.status}: ${errorText}`);
-            }
-
-            const result = await response.text();
+            const result = await backend.upload({ queryCode, mvCode, audioCode, mode, jsonData });
             console.log('✅ 上傳成功:', result);
-            return { success: true, message: result };
+
+            // Ragic 上的資料已經改變，下次載入要重新查詢
+            dataCache.deleteCode(queryCode);
+            const record = this.recordUpload(data, { result });
+            return { success: true, message: result, uploadId: record ? record.id : null };
 
         } catch (error) {
             console.error('❌ 上傳失敗:', error.message);
+            this.recordUpload(data, { error: error.message });
             throw error;
         }
     }
+
+    // 寫入上傳紀錄失敗不影響上傳結果
+    recordUpload(data, outcome) {
+        try {
+            return uploadLog.add(data, outcome);
+        } catch (error) {
+            console.error('⚠️ 寫入上傳紀錄失敗:', error.message);
+            return null;
+        }
+    }
 }
 
 module.exports = new RagicClient();
@@ -2,8 +2,8 @@
  * Ragic 欄位映射配置
  * 定義 Ragic 資料庫欄位 ID 與應用程式欄位的對應關係
  * 
- * 重要：這裡的欄位 ID 來自 Ragic 資料庫
- * 如果 Ragic 欄位有變動，需要更新這裡
+ * 這裡是預設值；Ragic 欄位有變動時，到設定頁面「Ragic 欄位」修改即可（存在設定的 ragicFields），
+ * 不需要改程式。實際使用的對照表是 configManager.getRagicFieldMappings()
  */
 
 const fieldMappings = {
@@ -89,6 +89,84 @@ const fieldMappings = {
     }
 };
 
+/**
+ * 判斷是不是單一欄位定義 { id, name }（common、images、imageTitles 是欄位群組）
+ */
+function isField(value) {
+    return Boolean(value) && typeof value === 'object' &&
+        (typeof value.id === 'string' || typeof value.name === 'string');
+}
+
+/**
+ * 把設定裡的覆蓋疊在預設對照表上
+ * @param {object} overrides - 例如 { common: { name: { id: '1009999' } } }
+ * @returns {object} - 完整對照表
+ */
+function mergeFieldMappings(overrides = {}) {
+    const merge = (defaults, custom) => {
+        const result = {};
+        for (const [key, value] of Object.entries(defaults)) {
+            const override = custom && custom[key];
+            if (isField(value)) {
+                result[key] = { ...value, ...(override || {}) };
+            } else {
+                result[key] = merge(value, override || {});
+            }
+        }
+        return result;
+    };
+    return merge(fieldMappings, overrides || {});
+}
+
+/**
+ * 只留下和預設不同的部分（存進設定用）
+ * @param {object} mappings - 完整或部分對照表
+ * @returns {object}
+ */
+function diffFieldMappings(mappings = {}) {
+    const diff = (defaults, custom) => {
+        const result = {};
+        for (const [key, value] of Object.entries(custom || {})) {
+            const base = defaults[key];
+            if (!base) continue;
+            if (isField(base)) {
+                const changed = {};
+                for (const prop of ['id', 'name']) {
+                    if (value && value[prop] !== undefined && value[prop] !== base[prop]) changed[prop] = value[prop];
+                }
+                if (Object.keys(changed).length > 0) result[key] = changed;
+            } else {
+                const nested = diff(base, value);
+                if (Object.keys(nested).length > 0) result[key] = nested;
+            }
+        }
+        return result;
+    };
+    return diff(fieldMappings, mappings);
+}
+
+/**
+ * 攤平成列表：[{ key: 'mv.images.image1', category: 'mv', id, name }]
+ * @param {object} mappings - 對照表（預設為內建值）
+ * @param {string[]} categories - 要列出的類別
+ */
+function listFields(mappings = fieldMappings, categories = Object.keys(mappings)) {
+    const result = [];
+    const walk = (fields, prefix, category) => {
+        for (const [key, value] of Object.entries(fields || {})) {
+            if (isField(value)) {
+                result.push({ key: `${prefix}.${key}`, category, id: value.id || '', name: value.name || '' });
+            } else if (value && typeof value === 'object') {
+                walk(value, `${prefix}.${key}`, category);
+            }
+        }
+    };
+    for (const category of categories) {
+        walk(mappings[category], category, category);
+    }
+    return result;
+}
+
 /**
  * 取得欄位 ID
  * @param {string} category - 類別 ('common', 'mv', 'audio')
@@ -165,5 +243,9 @@ module.exports = {
     getFieldId,
     getFieldName,
     getCategoryFields,
-    getFlatFieldIds
+    getFlatFieldIds,
+    isField,
+    mergeFieldMappings,
+    diffFieldMappings,
+    listFields
 };
@@ -0,0 +1,134 @@
+/**
+ * Ragic 欄位驗證
+ * 拿一筆實際資料對照欄位對照表，列出每個欄位是「有值」、「空的」還是「找不到」，
+ * 找不到的欄位會推薦資料裡可能對應的欄位：
+ * - 名稱相近的 key（資料以欄位名稱為 key 時）
+ * - 欄位被改過 ID，但資料裡還有預設 ID
+ */
+
+const { fieldMappings, listFields } = require('./field-mappings');
+
+// 推薦的最低相似度
+const MIN_SCORE = 0.4;
+const MAX_SUGGESTIONS = 3;
+
+class FieldVerifier {
+    /**
+     * 產生驗證報告
+     * @param {object} record - 一筆 Ragic 資料（以欄位 ID 或名稱為 key）
+     * @param {object} mappings - 欄位對照表
+     * @param {string} mode - 'mv' 或 'audio'
+     * @returns {{ summary: { present, empty, missing }, fields: Array, unmapped: Array }}
+     *   fields: [{ key, id, name, status: 'present'|'empty'|'missing', matchedBy: 'id'|'name'|null, value, suggestions }]
+     *   unmapped: 資料裡沒有被任何欄位用到的 key
+     */
+    verify(record, mappings, mode) {
+        const data = record || {};
+        const fields = listFields(mappings, ['common', mode]);
+        const used = new Set();
+
+        const report = fields.map(field => {
+            const matchedBy = this.findKey(data, field);
+            if (matchedBy) used.add(matchedBy === 'id' ? field.id : field.name);
+
+            const raw = matchedBy ? data[matchedBy === 'id' ? field.id : field.name] : undefined;
+            const status = !matchedBy ? 'missing' : (this.isEmpty(raw) ? 'empty' : 'present');
+
+            return {
+                ...field,
+                status,
+                matchedBy,
+                value: status === 'present' ? this.preview(raw) : null
+            };
+        });
+
+        const unmapped = Object.keys(data)
+            .filter(key => !key.startsWith('_') && !used.has(key))
+            .map(key => ({ key, value: this.preview(data[key]) }));
+
+        // 找不到的欄位：從沒用到的 key 裡推薦
+        const defaultIds = new Map(listFields(fieldMappings).map(field => [field.key, field.id]));
+        for (const field of report) {
+            if (field.status === 'missing') {
+                field.suggestions = this.suggest(field, unmapped, defaultIds.get(field.key));
+            }
+        }
+
+        return {
+            summary: {
+                present: report.filter(f => f.status === 'present').length,
+                empty: report.filter(f => f.status === 'empty').length,
+                missing: report.filter(f => f.status === 'missing').length
+            },
+            fields: report,
+            unmapped
+        };
+    }
+
+    /**
+     * 和 RagicClient.getFieldValue() 相同：先用 ID，再用名稱
+     */
+    findKey(data, field) {
+        if (field.id && data[field.id] !== undefined) return 'id';
+        if (field.name && data[field.name] !== undefined) return 'name';
+        return null;
+    }
+
+    suggest(field, candidates, defaultId) {
+        return candidates
+            .map(candidate => ({
+                ...candidate,
+                score: candidate.key === defaultId ? 1 : this.similarity(field.name, candidate.key),
+                reason: candidate.key === defaultId ? '預設欄位 ID' : '名稱相近'
+            }))
+            .filter(candidate => candidate.score >= MIN_SCORE)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_SUGGESTIONS)
+            .map(candidate => ({ ...candidate, score: Math.round(candidate.score * 100) / 100 }));
+    }
+
+    /**
+     * 名稱相似度（0–1）：包含關係給高分，其餘用字元 bigram 的 Dice 係數
+     */
+    similarity(a, b) {
+        const x = this.normalizeName(a);
+        const y = this.normalizeName(b);
+        if (!x || !y) return 0;
+        if (x === y) return 1;
+        if (x.includes(y) || y.includes(x)) return 0.8;
+
+        const bigrams = text => {
+            const chars = [...text];
+            if (chars.length < 2) return chars;
+            return chars.slice(1).map((char, i) => chars[i] + char);
+        };
+        const left = bigrams(x);
+        const right = bigrams(y);
+        const pool = [...right];
+        let common = 0;
+        for (const gram of left) {
+            const index = pool.indexOf(gram);
+            if (index >= 0) {
+                common++;
+                pool.splice(index, 1);
+            }
+        }
+        return (2 * common) / (left.length + right.length);
+    }
+
+    normalizeName(name) {
+        return String(name || '').normalize('NFKC').toLowerCase().replace(/[\s_\-()（）]/g, '');
+    }
+
+    isEmpty(value) {
+        return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+    }
+
+    preview(value) {
+        if (this.isEmpty(value)) return '';
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return text.length > 80 ? `${text.slice(0, 80)}…（${text.length} 字）` : text;
+    }
+}
+
+module.exports = new FieldVerifier();
@@ -0,0 +1,378 @@
+/**
+ * 音頻資訊偵測
+ * 讀取 MP3 開頭（ID3 標籤、第一個 MPEG frame、Xing/Info/VBRI 標頭）計算真正的長度、位元率、取樣率
+ * 盡量使用 Range 請求，只下載需要的部分
+ */
+
+const upstream = require('./upstream');
+
+// 第一次讀取的大小（通常足以涵蓋 ID3 標籤與第一個 frame）
+const INITIAL_READ_BYTES = 64 * 1024;
+// ID3 標籤過大時，在標籤後再讀取的大小
+const FRAME_READ_BYTES = 16 * 1024;
+// 伺服器不支援 Range 時最多讀取的大小
+const MAX_READ_BYTES = 4 * 1024 * 1024;
+
+// 位元率表（kbps），依 [版本][層] 區分
+const BITRATES = {
+    V1: {
+        1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+        2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+        3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+    },
+    V2: {
+        1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+        2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+        3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+    }
+};
+
+const SAMPLE_RATES = {
+    '1': [44100, 48000, 32000],
+    '2': [22050, 24000, 16000],
+    '2.5': [11025, 12000, 8000]
+};
+
+class AudioProbe {
+    /**
+     * 偵測遠端 MP3 的資訊
+     * @param {string} url - 音頻 URL
+     * @returns {Promise<object>} - { duration, bitrate, sampleRate, channels, method }
+     */
+    async probe(url) {
+        console.log('\n⏱️ 偵測音頻長度...');
+        console.log(`  - URL: ${url}`);
+
+        let { buffer, totalSize, rangeSupported } = await this.readRange(url, 0, INITIAL_READ_BYTES);
+
+        // ID3 標籤比第一次讀取還大時，從標籤後面再讀一段
+        const id3Size = this.getId3Size(buffer);
+        const moreData = !totalSize || totalSize > buffer.length;
+        if (id3Size > 0 && moreData && id3Size + FRAME_READ_BYTES > buffer.length) {
+            if (rangeSupported) {
+                const tagBuffer = buffer;
+                const next = await this.readRange(url, id3Size, FRAME_READ_BYTES);
+                const info = this.parse(next.buffer, {
+                    totalSize,
+                    startOffset: id3Size,
+                    id3Size,
+                    id3Buffer: tagBuffer
+                });
+                return this.logResult(info);
+            }
+
+            const full = await this.readRange(url, 0, Math.min(id3Size + FRAME_READ_BYTES, MAX_READ_BYTES));
+            buffer = full.buffer;
+        }
+
+        const info = this.parse(buffer, { totalSize, id3Size });
+        return this.logResult(info);
+    }
+
+    logResult(info) {
+        console.log(`✅ 音頻資訊: ${info.duration}s / ${info.bitrate}kbps / ${info.sampleRate}Hz (${info.method})`);
+        return info;
+    }
+
+    /**
+     * 讀取指定範圍的位元組
+     * @returns {Promise<{ buffer: Buffer, totalSize: number|null, rangeSupported: boolean }>}
+     */
+    async readRange(url, start, length) {
+        const response = await upstream.fetch(url, {
+            headers: { Range: `bytes=${start}-${start + length - 1}` },
+            target: 'audio'
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const rangeSupported = response.status === 206;
+        let totalSize = null;
+
+        if (rangeSupported) {
+            const contentRange = response.headers.get('content-range') || '';
+            const match = contentRange.match(/\/(\d+)$/);
+            if (match) totalSize = parseInt(match[1], 10);
+        } else {
+            const contentLength = response.headers.get('content-length');
+            if (contentLength) totalSize = parseInt(contentLength, 10);
+        }
+
+        // 不支援 Range 時整個檔案會傳過來，讀到需要的長度就停止
+        const limit = rangeSupported ? length : start + length;
+        let buffer = await this.readBody(response, limit);
+        if (!rangeSupported && start > 0) {
+            buffer = buffer.slice(start);
+        }
+
+        return { buffer, totalSize, rangeSupported };
+    }
+
+    /**
+     * 讀取 response body，超過 limit 就中斷連線
+     */
+    readBody(response, limit) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let received = 0;
+            const body = response.body;
+
+            const finish = () => {
+                body.removeAllListeners();
+                resolve(Buffer.concat(chunks).slice(0, limit));
+            };
+
+            body.on('data', chunk => {
+                chunks.push(chunk);
+                received += chunk.length;
+                if (received >= limit) {
+                    body.destroy();
+                    finish();
+                }
+            });
+            body.on('end', finish);
+            body.on('error', reject);
+        });
+    }
+
+    /**
+     * 解析 MP3 資料
+     * @param {Buffer} buffer - 從 startOffset 開始的資料
+     * @param {object} options - { totalSize, startOffset, id3Size, id3Buffer }
+     * @returns {object} - { duration, bitrate, sampleRate, channels, method }
+     */
+    parse(buffer, options = {}) {
+        const { totalSize = null, startOffset = 0 } = options;
+        const id3Size = options.id3Size !== undefined ? options.id3Size : this.getId3Size(buffer);
+        const id3Buffer = options.id3Buffer || buffer;
+
+        // 找第一個有效的 MPEG frame
+        const searchFrom = Math.max(0, id3Size - startOffset);
+        const frame = this.findFirstFrame(buffer, searchFrom);
+        if (!frame) {
+            throw new Error('找不到 MPEG frame，可能不是 MP3 檔案');
+        }
+
+        const result = {
+            duration: null,
+            bitrate: frame.bitrate,
+            sampleRate: frame.sampleRate,
+            channels: frame.channelMode === 3 ? 1 : 2,
+            method: null
+        };
+
+        // 1. Xing / Info 標頭（VBR 檔案最準確）
+        const xing = this.readXing(buffer, frame);
+        if (xing && xing.frames) {
+            result.duration = xing.frames * frame.samplesPerFrame / frame.sampleRate;
+            if (xing.bytes) {
+                result.bitrate = Math.round(xing.bytes * 8 / result.duration / 1000);
+            }
+            result.method = xing.tag.toLowerCase();
+        }
+
+        // 2. VBRI 標頭（Fraunhofer 編碼器）
+        if (result.duration === null) {
+            const vbri = this.readVbri(buffer, frame);
+            if (vbri && vbri.frames) {
+                result.duration = vbri.frames * frame.samplesPerFrame / frame.sampleRate;
+                if (vbri.bytes) {
+                    result.bitrate = Math.round(vbri.bytes * 8 / result.duration / 1000);
+                }
+                result.method = 'vbri';
+            }
+        }
+
+        // 3. ID3 TLEN（毫秒）
+        if (result.duration === null) {
+            const tlen = this.readId3Tlen(id3Buffer, id3Size);
+            if (tlen) {
+                result.duration = tlen / 1000;
+                result.method = 'id3-tlen';
+            }
+        }
+
+        // 4. 固定位元率：用檔案大小推算
+        if (result.duration === null && totalSize) {
+            const audioBytes = totalSize - (startOffset + frame.offset);
+            result.duration = audioBytes * 8 / (frame.bitrate * 1000);
+            result.method = 'cbr';
+        }
+
+        if (result.duration === null) {
+            throw new Error('無法計算音頻長度（沒有 VBR 標頭也沒有檔案大小）');
+        }
+
+        result.duration = Math.round(result.duration * 100) / 100;
+        return result;
+    }
+
+    /**
+     * ID3v2 標籤總長度（含標頭），沒有則回傳 0
+     */
+    getId3Size(buffer) {
+        if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') {
+            return 0;
+        }
+        const flags = buffer[5];
+        const size = this.readSyncsafe(buffer, 6);
+        const footer = (flags & 0x10) ? 10 : 0;
+        return 10 + size + footer;
+    }
+
+    readSyncsafe(buffer, offset) {
+        return ((buffer[offset] & 0x7f) << 21) |
+               ((buffer[offset + 1] & 0x7f) << 14) |
+               ((buffer[offset + 2] & 0x7f) << 7) |
+               (buffer[offset + 3] & 0x7f);
+    }
+
+    /**
+     * 從 ID3v2.3 / v2.4 標籤讀取 TLEN（毫秒）
+     */
+    readId3Tlen(buffer, id3Size) {
+        if (!id3Size || buffer.toString('latin1', 0, 3) !== 'ID3') return null;
+
+        const majorVersion = buffer[3];
+        if (majorVersion !== 3 && majorVersion !== 4) return null;
+
+        const end = Math.min(id3Size, buffer.length);
+        let pos = 10;
+
+        // 跳過延伸標頭
+        if (buffer[5] & 0x40) {
+            const extSize = majorVersion === 4 ? this.readSyncsafe(buffer, pos) : buffer.readUInt32BE(pos) + 4;
+            pos += extSize;
+        }
+
+        while (pos + 10 <= end) {
+            const frameId = buffer.toString('latin1', pos, pos + 4);
+            if (!/^[A-Z0-9]{4}$/.test(frameId)) break;
+
+            const frameSize = majorVersion === 4 ? this.readSyncsafe(buffer, pos + 4) : buffer.readUInt32BE(pos + 4);
+            if (frameSize <= 0) break;
+
+            if (frameId === 'TLEN') {
+                // 第一個位元組是文字編碼，數字只會用到 ASCII 範圍
+                const text = buffer.toString('latin1', pos + 11, Math.min(pos + 10 + frameSize, end)).replace(/[^0-9]/g, '');
+                const ms = parseInt(text, 10);
+                return ms > 0 ? ms : null;
+            }
+
+            pos += 10 + frameSize;
+        }
+
+        return null;
+    }
+
+    /**
+     * 解析 4 位元組的 MPEG frame 標頭
+     */
+    parseFrameHeader(buffer, offset) {
+        if (offset + 4 > buffer.length) return null;
+
+        const b1 = buffer[offset];
+        const b2 = buffer[offset + 1];
+        const b3 = buffer[offset + 2];
+        const b4 = buffer[offset + 3];
+
+        if (b1 !== 0xff || (b2 & 0xe0) !== 0xe0) return null;
+
+        const versionBits = (b2 >> 3) & 0x03;
+        const layerBits = (b2 >> 1) & 0x03;
+        const bitrateIndex = (b3 >> 4) & 0x0f;
+        const sampleRateIndex = (b3 >> 2) & 0x03;
+        const padding = (b3 >> 1) & 0x01;
+        const channelMode = (b4 >> 6) & 0x03;
+
+        if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+            return null;
+        }
+
+        const version = versionBits === 3 ? '1' : versionBits === 2 ? '2' : '2.5';
+        const layer = 4 - layerBits;
+        const bitrate = BITRATES[version === '1' ? 'V1' : 'V2'][layer][bitrateIndex];
+        const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+
+        let samplesPerFrame;
+        let frameLength;
+        if (layer === 1) {
+            samplesPerFrame = 384;
+            frameLength = Math.floor(12 * bitrate * 1000 / sampleRate + padding) * 4;
+        } else {
+            samplesPerFrame = (layer === 3 && version !== '1') ? 576 : 1152;
+            frameLength = Math.floor(samplesPerFrame / 8 * bitrate * 1000 / sampleRate) + padding;
+        }
+
+        return { offset, version, layer, bitrate, sampleRate, channelMode, samplesPerFrame, frameLength };
+    }
+
+    /**
+     * 找第一個有效 frame（下一個 frame 也要能對上，避免誤判）
+     */
+    findFirstFrame(buffer, from) {
+        for (let i = from; i < buffer.length - 4; i++) {
+            if (buffer[i] !== 0xff) continue;
+
+            const frame = this.parseFrameHeader(buffer, i);
+            if (!frame) continue;
+
+            const nextOffset = i + frame.frameLength;
+            if (nextOffset + 4 > buffer.length) {
+                return frame;  // 資料不夠檢查下一個 frame，就相信這個
+            }
+
+            const next = this.parseFrameHeader(buffer, nextOffset);
+            if (next && next.version === frame.version && next.layer === frame.layer) {
+                return frame;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 讀取 Xing / Info 標頭
+     */
+    readXing(buffer, frame) {
+        const mono = frame.channelMode === 3;
+        const sideInfo = frame.version === '1' ? (mono ? 17 : 32) : (mono ? 9 : 17);
+        const pos = frame.offset + 4 + sideInfo;
+
+        if (pos + 16 > buffer.length) return null;
+
+        const tag = buffer.toString('latin1', pos, pos + 4);
+        if (tag !== 'Xing' && tag !== 'Info') return null;
+
+        const flags = buffer.readUInt32BE(pos + 4);
+        let cursor = pos + 8;
+        const result = { tag, frames: null, bytes: null };
+
+        if (flags & 0x01) {
+            result.frames = buffer.readUInt32BE(cursor);
+            cursor += 4;
+        }
+        if ((flags & 0x02) && cursor + 4 <= buffer.length) {
+            result.bytes = buffer.readUInt32BE(cursor);
+        }
+
+        return result;
+    }
+
+    /**
+     * 讀取 VBRI 標頭（固定在 frame 標頭後 32 位元組）
+     */
+    readVbri(buffer, frame) {
+        const pos = frame.offset + 4 + 32;
+        if (pos + 18 > buffer.length) return null;
+        if (buffer.toString('latin1', pos, pos + 4) !== 'VBRI') return null;
+
+        return {
+            bytes: buffer.readUInt32BE(pos + 10),
+            frames: buffer.readUInt32BE(pos + 14)
+        };
+    }
+}
+
+module.exports = new AudioProbe();
@@ -0,0 +1,188 @@
+/**
+ * 批次產生
+ * 一次處理多個 Ragic 代碼，每個代碼依序執行：載入 → 時間軸 → 產生 JSON → 驗證 → 上傳，
+ * 同時處理的代碼數量有上限，全部結束後回傳每個代碼的成功 / 失敗報告
+ *
+ * 時間軸和頁面上的流程相同：
+ * - MV：歌詞本身有時間（LRC / SRT / VTT）就直接解析，否則用 lyricsAligner 對齊音頻
+ * - 語音：語音識別產生 transcriptTimeline（Ragic 有逐字稿時當作提示）
+ */
+
+const jsonBuilder = require('./json-builder');
+const jsonValidator = require('./json-validator');
+const lyricsAligner = require('./lyrics-aligner');
+const transcription = require('./transcription');
+const ragicClient = require('../integrations/ragic/client');
+
+const MODES = ['mv', 'audio'];
+const MAX_CODES = 200;
+const MAX_CONCURRENCY = 5;
+const DEFAULT_CONCURRENCY = 2;
+
+class BatchRunner {
+    /**
+     * 檢查並整理參數（不合法時丟出錯誤）
+     * @param {object} params - { codes: 陣列或以換行 / 逗號分隔的字串, mode, concurrency, upload, refresh }
+     * @returns {{ codes: string[], mode: string, concurrency: number, upload: boolean, refresh: boolean }}
+     */
+    normalizeParams(params = {}) {
+        const codes = this.parseCodes(params.codes);
+        if (codes.length === 0) {
+            throw new Error('請提供至少一個代碼');
+        }
+        if (codes.length > MAX_CODES) {
+            throw new Error(`一次最多 ${MAX_CODES} 個代碼（目前 ${codes.length} 個）`);
+        }
+        if (!MODES.includes(params.mode)) {
+            throw new Error(`不支援的模式: ${params.mode}`);
+        }
+
+        const concurrency = parseInt(params.concurrency, 10) || DEFAULT_CONCURRENCY;
+        return {
+            codes,
+            mode: params.mode,
+            concurrency: Math.min(Math.max(concurrency, 1), MAX_CONCURRENCY),
+            upload: params.upload !== false,
+            refresh: Boolean(params.refresh)
+        };
+    }
+
+    /**
+     * 代碼清單：去掉空白與重複，保留原本順序
+     */
+    parseCodes(input) {
+        const list = Array.isArray(input) ? input : String(input || '').split(/[\n,，\s]+/);
+        return [...new Set(list.map(code => String(code).trim()).filter(Boolean))];
+    }
+
+    /**
+     * 執行批次
+     * @param {object} params - normalizeParams() 的結果
+     * @param {Function} onResult - (result, index) => void，每個代碼完成時呼叫
+     * @param {Array} previous - 上次執行到一半的結果（依代碼順序），有結果的代碼不再處理
+     * @returns {Promise<object>} - { mode, upload, total, succeeded, failed, startedAt, finishedAt, results }
+     */
+    async run(params, onResult, previous = []) {
+        const { codes, mode, concurrency } = params;
+        const startedAt = new Date().toISOString();
+        const results = codes.map((code, index) => previous[index] || null);
+        const pending = codes.map((code, index) => index).filter(index => !results[index]);
+
+        console.log(`\n📦 開始批次 ${mode.toUpperCase()}：${codes.length} 個代碼，同時 ${concurrency} 個`);
+        if (pending.length < codes.length) {
+            console.log(`📦 接續上次進度：已完成 ${codes.length - pending.length} 個`);
+        }
+
+        let next = 0;
+        const worker = async () => {
+            while (next < pending.length) {
+                const index = pending[next++];
+                results[index] = await this.processCode(codes[index], params);
+                if (onResult) onResult(results[index], index);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+
+        const succeeded = results.filter(result => result.status === 'success').length;
+        console.log(`📦 批次完成：成功 ${succeeded}，失敗 ${results.length - succeeded}`);
+
+        return {
+            mode,
+            upload: params.upload,
+            total: results.length,
+            succeeded,
+            failed: results.length - succeeded,
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            results
+        };
+    }
+
+    /**
+     * 處理一個代碼，失敗時記錄在哪一步（fetch / timeline / build / validate / upload）
+     * params.client 為建立批次的來源資訊，寫進上傳紀錄
+     * @returns {Promise<object>} - { code, status: 'success'|'error', step, error, uploaded, duration, endingVariant, durationMs, json? }
+     */
+    async processCode(code, { mode, upload, refresh, client }) {
+        const started = Date.now();
+        const result = { code, status: 'error', step: 'fetch', error: null, uploaded: false };
+
+        try {
+            const data = await jsonBuilder.fetchData(code, mode, { refresh });
+            if (!data.audioUrl) {
+                throw new Error('缺少音頻連結');
+            }
+
+            result.step = 'timeline';
+            const options = mode === 'mv'
+                ? await this.buildLyricsTimeline(data)
+                : await this.buildTranscriptTimeline(data);
+
+            result.step = 'build';
+            const json = jsonBuilder.build(mode, data, options);
+
+            result.step = 'validate';
+            const validation = jsonValidator.validate(json, mode);
+            if (!validation.valid) {
+                const details = validation.errors.map(e => `${e.path} ${e.message}`).join('；');
+                throw new Error(`JSON 驗證失敗：${details}`);
+            }
+
+            if (upload) {
+                result.step = 'upload';
+                await ragicClient.uploadJSON({
+                    queryCode: code,
+                    mvCode: data.mvCode || '',
+                    audioCode: data.audioCode || '',
+                    mode,
+                    jsonData: json,
+                    client
+                });
+                result.uploaded = true;
+            } else {
+                // 不上傳時附上 JSON 讓使用者下載檢查
+                result.json = json;
+            }
+
+            Object.assign(result, {
+                status: 'success',
+                step: null,
+                duration: json.meta.duration,
+                endingVariant: json.meta.endingVariant
+            });
+        } catch (error) {
+            console.error(`❌ 批次 ${code} 失敗（${result.step}）:`, error.message);
+            result.error = error.message;
+        }
+
+        result.durationMs = Date.now() - started;
+        return result;
+    }
+
+    async buildLyricsTimeline(data) {
+        if (!data.lyrics) {
+            throw new Error('缺少歌詞');
+        }
+
+        const timeline = await lyricsAligner.buildTimeline(data.audioUrl, data.lyrics, {
+            characters: true,
+            duration: data.duration || undefined
+        });
+        return {
+            lyricsTimeline: timeline.lyricsTimeline,
+            // 偵測不到長度時用解碼出來的長度
+            duration: data.duration || !timeline.duration ? undefined : timeline.duration
+        };
+    }
+
+    async buildTranscriptTimeline(data) {
+        const result = await transcription.transcribeUrl(data.audioUrl, {
+            duration: data.duration || undefined,
+            text: data.transcript || undefined
+        });
+        const { transcriptTimeline } = transcription.formatResult('audio', result);
+        return { transcriptTimeline };
+    }
+}
+
+module.exports = new BatchRunner();
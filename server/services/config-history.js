@@ -0,0 +1,170 @@
+/**
+ * 設定歷史紀錄
+ * 每次儲存設定都保留一份快照，可以比對差異、一鍵還原
+ * 快照存在 data/config/history/<id>.json，超過保留數量會刪除最舊的
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LIMIT = 50;
+
+class ConfigHistory {
+    /**
+     * @param {string} historyDir - 快照資料夾
+     * @param {number} limit - 最多保留幾份
+     */
+    constructor(historyDir, limit) {
+        this.historyDir = historyDir;
+        this.limit = limit || parseInt(process.env.CONFIG_HISTORY_LIMIT, 10) || DEFAULT_LIMIT;
+        if (!fs.existsSync(this.historyDir)) {
+            fs.mkdirSync(this.historyDir, { recursive: true });
+        }
+    }
+
+    /**
+     * 新增快照（和最新一份相同就略過）
+     * @param {object} config - 要保存的設定
+     * @returns {object|null} - 快照摘要
+     */
+    add(config) {
+        const latest = this.list()[0];
+        const latestConfig = latest ? this.get(latest.id).config : null;
+        if (latestConfig && JSON.stringify(latestConfig) === JSON.stringify(config)) {
+            return null;
+        }
+
+        const now = new Date();
+        const snapshot = {
+            id: this.createId(now),
+            createdAt: now.toISOString(),
+            changedSections: latestConfig ? this.changedSections(latestConfig, config) : Object.keys(config),
+            config
+        };
+
+        fs.writeFileSync(this.filePath(snapshot.id), JSON.stringify(snapshot, null, 2), 'utf8');
+        this.prune();
+
+        return this.summary(snapshot);
+    }
+
+    /**
+     * 列出所有快照（新的在前），不含設定內容
+     */
+    list() {
+        return fs.readdirSync(this.historyDir)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .reverse()
+            .map(file => {
+                try {
+                    return this.summary(JSON.parse(fs.readFileSync(path.join(this.historyDir, file), 'utf8')));
+                } catch (err) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * 取得完整快照
+     */
+    get(id) {
+        if (!/^[\w-]+$/.test(id)) return null;
+        const file = this.filePath(id);
+        if (!fs.existsSync(file)) return null;
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    /**
+     * 逐一修改已保存的快照（transform 直接修改設定並回傳 true 時寫回檔案）
+     * @param {Function} transform - (config) => boolean
+     * @returns {number} - 改寫的快照數
+     */
+    rewrite(transform) {
+        let count = 0;
+        for (const { id } of this.list()) {
+            const snapshot = this.get(id);
+            if (snapshot && transform(snapshot.config)) {
+                fs.writeFileSync(this.filePath(id), JSON.stringify(snapshot, null, 2), 'utf8');
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * 比對兩份設定
+     * @returns {Array<{ path, type: 'added'|'removed'|'changed', from, to }>}
+     */
+    diff(from, to, basePath = '') {
+        return ConfigHistory.diff(from, to, basePath);
+    }
+
+    /**
+     * 比對兩個 JSON 值（上傳紀錄也用同樣的方式比對）
+     * @returns {Array<{ path, type: 'added'|'removed'|'changed', from, to }>}
+     */
+    static diff(from, to, basePath = '') {
+        const changes = [];
+
+        const isContainer = value => value !== null && typeof value === 'object';
+        if (!isContainer(from) || !isContainer(to) || Array.isArray(from) !== Array.isArray(to)) {
+            if (JSON.stringify(from) !== JSON.stringify(to)) {
+                changes.push({ path: basePath || '/', type: 'changed', from, to });
+            }
+            return changes;
+        }
+
+        const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+        for (const key of keys) {
+            const childPath = `${basePath}/${key}`;
+            if (!(key in to)) {
+                changes.push({ path: childPath, type: 'removed', from: from[key], to: undefined });
+            } else if (!(key in from)) {
+                changes.push({ path: childPath, type: 'added', from: undefined, to: to[key] });
+            } else {
+                changes.push(...ConfigHistory.diff(from[key], to[key], childPath));
+            }
+        }
+
+        return changes;
+    }
+
+    changedSections(from, to) {
+        const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+        return [...keys].filter(key => JSON.stringify(from[key]) !== JSON.stringify(to[key]));
+    }
+
+    /**
+     * 刪除超過保留數量的舊快照
+     */
+    prune() {
+        const files = fs.readdirSync(this.historyDir).filter(file => file.endsWith('.json')).sort();
+        const excess = files.length - this.limit;
+        for (let i = 0; i < excess; i++) {
+            fs.unlinkSync(path.join(this.historyDir, files[i]));
+        }
+    }
+
+    summary(snapshot) {
+        return {
+            id: snapshot.id,
+            createdAt: snapshot.createdAt,
+            changedSections: snapshot.changedSections || []
+        };
+    }
+
+    // 例如 20261018T141500123Z-a1b2，可依字串排序
+    createId(date) {
+        const stamp = date.toISOString().replace(/[-:.]/g, '');
+        const suffix = Math.random().toString(36).substring(2, 6);
+        return `${stamp}-${suffix}`;
+    }
+
+    filePath(id) {
+        return path.join(this.historyDir, `${id}.json`);
+    }
+}
+
+module.exports = ConfigHistory;
@@ -5,11 +5,31 @@
 
 const fs = require('fs');
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const ConfigHistory = require('./config-history');
+const mbtiCoverage = require('./mbti-coverage');
+const mbtiNormalizer = require('./mbti-normalizer');
+const visualRules = require('./visual-rules');
+const ConfigProfiles = require('./config-profiles');
+const { PROFILE_SECTIONS } = ConfigProfiles;
+const configValidator = require('./config-validator');
+const { ConfigValidationError } = configValidator;
+const { mergeFieldMappings, diffFieldMappings } = require('../integrations/ragic/field-mappings');
+
+// 金鑰只從環境變數讀取，不寫入設定檔、快照，也不會出現在 GET /api/config
+const SECRETS = [
+    { section: 'ragic', group: 'rest', key: 'apiKey', env: 'RAGIC_API_KEY' },
+    { section: 'notifications', group: 'telegram', key: 'botToken', env: 'TELEGRAM_BOT_TOKEN' }
+];
 
 class ConfigManager {
     constructor() {
         this.configPath = process.env.CONFIG_PATH || path.join(__dirname, '../../data/config');
         this.ensureConfigDir();
+        this.history = new ConfigHistory(path.join(this.configPath, 'history'));
+        this.profiles = new ConfigProfiles(path.join(this.configPath, 'profiles'));
+        // 單次呼叫指定的設定檔（不影響同時進行的其他請求）
+        this.profileScope = new AsyncLocalStorage();
         this.loadAllConfigs();
     }
 
@@ -86,7 +106,10 @@ class ConfigManager {
                 // P/J 影響流星頻率
                 shootingByPJ: true,
                 shootingP: 5,  // P 型較多流星
-                shootingJ: 2   // J 型較少流星
+                shootingJ: 2,  // J 型較少流星
+                // 規則表：任意字母組合（'NF'、'ST'、'INFP'、'-T'）設定任意輸出，越具體越優先
+                // 例如 { match: 'NF', set: { particleColor: '#ffd6e7', animationSpeed: 0.8 } }
+                rules: []
             },
 
             // 專屬結尾設定
@@ -97,7 +120,10 @@ class ConfigManager {
                 fontSizeMobile: 20,
                 duration: 8,  // 最後 8 秒顯示
                 fadeInDuration: 1.5,
-                fadeOutDuration: 2
+                fadeOutDuration: 2,
+                // 依 MBTI 類型 / 群組（NF、NT、SJ、SP）/ 性別輪替的版本，沒有符合的就用 template
+                // 例如 { id: 'nf-a', mbti: 'NF', gender: 'female', template: '…', weight: 1 }
+                variants: []
             },
 
             // 圖片分類關鍵字
@@ -119,8 +145,7 @@ class ConfigManager {
             notifications: {
                 telegram: {
                     enabled: false,
-                    botToken: '',
-                    chatId: ''
+                    chatId: ''      // Bot Token 只從環境變數 TELEGRAM_BOT_TOKEN 讀取
                 },
                 n8n: {
                     enabled: false,
@@ -168,7 +193,71 @@ class ConfigManager {
                 transitionDuration: 300,
                 zoomMin: 1,
                 zoomMax: 1.15
-            }
+            },
+
+            // 語音識別設定
+            transcription: {
+                provider: 'whisper-cpp',  // 'whisper-cpp' 或 'fake'
+                language: 'auto',
+                whisperCpp: {
+                    binaryPath: 'whisper-cli',
+                    modelPath: '',
+                    threads: 4,
+                    timeoutSeconds: 900
+                },
+                ffmpegPath: 'ffmpeg'
+            },
+
+            // Ragic 連線設定
+            ragic: {
+                backend: 'n8n',  // 'n8n'、'rest' 或 'fake'
+                n8n: {
+                    fetchUrl: 'https://app.notpro.cc/webhook/soultalk',
+                    uploadUrl: 'https://app.notpro.cc/webhook/up-mv-json'
+                },
+                rest: {
+                    server: 'https://ap5.ragic.com',
+                    account: '',
+                    sheetPath: ''   // 例如 'soultalk/1'；API Key 只從環境變數 RAGIC_API_KEY 讀取
+                }
+            },
+
+            // 資料快取（同一個代碼反覆載入時不重新查詢）
+            cache: {
+                enabled: true,
+                ragicTtlSeconds: 600,       // Ragic 資料，0 表示不快取
+                minimaxTtlSeconds: 86400,   // Minimax 解析結果，0 表示不快取
+                persist: false              // 同時存到 data/cache/，重開伺服器後還能使用
+            },
+
+            // 外部服務呼叫（模式由環境變數 UPSTREAM_MODE 優先）
+            upstream: {
+                mode: 'live',      // 'live'、'record'（連線並錄製）或 'replay'（只用錄製資料）
+                fixturesPath: '',  // 空字串表示 data/fixtures
+                // 各類呼叫的逾時與重試次數（5xx 與網路錯誤才重試）
+                targets: {
+                    ragic: { timeoutMs: 15000, retries: 2 },
+                    minimax: { timeoutMs: 20000, retries: 2 },
+                    notification: { timeoutMs: 5000, retries: 0 },
+                    audio: { timeoutMs: 15000, retries: 1 },
+                    download: { timeoutMs: 120000, retries: 1 }
+                },
+                // 同一個主機連續失敗 failureThreshold 次後，resetSeconds 秒內直接回報錯誤（0 表示不啟用）
+                circuitBreaker: {
+                    failureThreshold: 5,
+                    resetSeconds: 30
+                }
+            },
+
+            // Ragic 欄位對照的覆蓋（只存和 field-mappings.js 預設不同的部分）
+            // 例如 { common: { name: { id: '1009999' } } }
+            ragicFields: {},
+
+            // 啟用中的設定檔（空字串表示只用基本設定）
+            activeProfile: '',
+
+            // 地區覆蓋（對應 Ragic「地區」欄位），例如 { '香港': { customEnding: { template: '...' } } }
+            regionOverrides: {}
         };
     }
 
@@ -181,8 +270,15 @@ class ConfigManager {
         if (fs.existsSync(configFile)) {
             try {
                 const saved = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+                const removed = this.removeSecrets(saved);
                 this.config = this.mergeDeep(this.getDefaultConfig(), saved);
                 console.log('✅ 設定已載入:', configFile);
+                if (removed.length > 0) {
+                    this.migrateSecrets(removed);
+                } else {
+                    // 先保留載入時的設定（和最新快照相同時不會重複），第一次修改後才能還原到修改前
+                    this.saveSnapshot();
+                }
             } catch (err) {
                 console.error('❌ 載入設定失敗:', err.message);
                 this.config = this.getDefaultConfig();
@@ -194,11 +290,48 @@ class ConfigManager {
         }
     }
 
+    /**
+     * 移除設定裡的金鑰欄位（舊版設定檔、快照會有）
+     * @returns {Array<{ key, env, value }>} - 移除的欄位
+     */
+    removeSecrets(config) {
+        const removed = [];
+        for (const secret of SECRETS) {
+            const group = config && config[secret.section] && config[secret.section][secret.group];
+            if (group && secret.key in group) {
+                removed.push({ ...secret, value: group[secret.key] });
+                delete group[secret.key];
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * 舊版設定檔還有金鑰時執行一次：提醒改用環境變數，清掉快照裡的金鑰，再存回不含金鑰的設定檔
+     * （存回之後設定檔就沒有金鑰，下次啟動不會再執行）
+     */
+    migrateSecrets(removed) {
+        for (const secret of removed.filter(s => s.value)) {
+            console.log(`⚠️ 設定檔不再保存 ${secret.section}.${secret.group}.${secret.key}，已移除，請改用環境變數 ${secret.env}`);
+        }
+        const count = this.history.rewrite(config => this.removeSecrets(config).length > 0);
+        if (count > 0) console.log(`🕘 已移除 ${count} 份設定快照裡的金鑰`);
+        this.saveAllConfigs();
+    }
+
+    /**
+     * Telegram Bot Token（只從環境變數讀取）
+     */
+    getTelegramBotToken() {
+        return process.env.TELEGRAM_BOT_TOKEN || '';
+    }
+
     saveAllConfigs() {
         const configFile = path.join(this.configPath, 'settings.json');
         try {
             fs.writeFileSync(configFile, JSON.stringify(this.config, null, 2), 'utf8');
             console.log('✅ 設定已儲存:', configFile);
+            this.saveSnapshot();
             return true;
         } catch (err) {
             console.error('❌ 儲存設定失敗:', err.message);
@@ -206,6 +339,306 @@ class ConfigManager {
         }
     }
 
+    // 保留快照（失敗不影響儲存）
+    saveSnapshot() {
+        try {
+            const snapshot = this.history.add(this.config);
+            if (snapshot) {
+                console.log(`🕘 已保留設定快照: ${snapshot.id}`);
+            }
+        } catch (err) {
+            console.error('⚠️ 保留設定快照失敗:', err.message);
+        }
+    }
+
+    // ========================================
+    // 設定歷史
+    // ========================================
+    getHistory() {
+        return this.history.list();
+    }
+
+    // 比對快照與目前設定（或另一份快照）
+    getHistoryDiff(id, againstId) {
+        const snapshot = this.history.get(id);
+        if (!snapshot) return null;
+
+        let target = this.config;
+        if (againstId) {
+            const against = this.history.get(againstId);
+            if (!against) return null;
+            target = against.config;
+        }
+
+        return {
+            id,
+            against: againstId || 'current',
+            changes: this.history.diff(snapshot.config, target)
+        };
+    }
+
+    // 還原快照（還原本身也會留下一份新快照）
+    restoreHistory(id) {
+        const snapshot = this.history.get(id);
+        if (!snapshot) return null;
+
+        this.removeSecrets(snapshot.config);
+        const restored = this.mergeDeep(this.getDefaultConfig(), snapshot.config);
+        this.assertConfig(restored);
+        this.config = restored;
+        return this.saveAllConfigs();
+    }
+
+    // ========================================
+    // 設定檔（Profile）
+    // ========================================
+
+    /**
+     * 目前生效的設定（設定檔：單次指定 > 啟用中）
+     * @param {string} region - 地區（Ragic「地區」欄位），有對應的覆蓋時一起套用
+     */
+    current(region) {
+        return this.getEffectiveConfig(this.getCurrentProfileId(), region);
+    }
+
+    /**
+     * 依序疊加：基本設定 → 設定檔 → 地區
+     * @param {string} profileId - 設定檔 ID（空值或找不到時略過）
+     * @param {string} region - 地區（空值或沒有覆蓋時略過）
+     */
+    getEffectiveConfig(profileId, region) {
+        const profile = profileId ? this.profiles.get(profileId) : null;
+        const regionKey = this.resolveRegion(region);
+
+        let output = this.config;
+        if (profile) {
+            output = this.applyOverrides(output, profile.overrides);
+        }
+        if (regionKey) {
+            output = this.applyOverrides(output, this.config.regionOverrides[regionKey]);
+        }
+        return output;
+    }
+
+    applyOverrides(config, overrides) {
+        const output = { ...config };
+        for (const [section, value] of Object.entries(overrides || {})) {
+            output[section] = this.isObject(value) ? this.mergeDeep(config[section], value) : value;
+        }
+        return output;
+    }
+
+    /**
+     * 驗證覆蓋內容：每個區塊和基本設定合併後都要通過驗證
+     * @param {object} overrides - { section: 部分內容 }
+     * @param {string} basePath - 錯誤路徑前綴，例如 '/regionOverrides/香港'
+     * @param {object} base - 合併的基準設定
+     */
+    validateOverrides(overrides, basePath = '', base = this.config) {
+        const errors = [];
+        for (const [section, value] of Object.entries(overrides || {})) {
+            if (!PROFILE_SECTIONS.includes(section)) {
+                errors.push({ path: `${basePath}/${section}`, message: '這個區塊不能被覆蓋' });
+                continue;
+            }
+            const effective = this.isObject(value) ? this.mergeDeep(base[section], value) : value;
+            errors.push(...configValidator.validateSection(section, effective).map(e => ({
+                ...e,
+                path: `${basePath}${e.path}`
+            })));
+        }
+        return errors;
+    }
+
+    /**
+     * 驗證整份設定（含每個地區覆蓋合併後的結果）
+     */
+    assertConfig(config) {
+        const errors = configValidator.validateConfig(config);
+        if (errors.length === 0) {
+            for (const [region, overrides] of Object.entries(config.regionOverrides || {})) {
+                errors.push(...this.validateOverrides(overrides, `/regionOverrides/${region}`, config));
+            }
+        }
+        if (errors.length > 0) throw new ConfigValidationError(errors);
+    }
+
+    /**
+     * 在指定設定檔下執行 fn，期間所有 getter 都讀取該設定檔
+     * @param {string} profileId - 設定檔 ID（空值則照常使用啟用中的設定檔）
+     * @param {Function} fn
+     */
+    runWithProfile(profileId, fn) {
+        // 空值也要進入新的範圍，清掉外層（例如另一個工作或請求）指定的設定檔
+        if (!profileId) return this.profileScope.run(undefined, fn);
+        if (!this.profiles.exists(profileId)) {
+            throw new Error(`找不到設定檔: ${profileId}`);
+        }
+        return this.profileScope.run(profileId, fn);
+    }
+
+    // 目前使用的設定檔 ID（沒有則為空字串）
+    getCurrentProfileId() {
+        const pinned = this.profileScope.getStore();
+        const profileId = pinned !== undefined ? pinned : this.config.activeProfile;
+        return profileId && this.profiles.exists(profileId) ? profileId : '';
+    }
+
+    listProfiles() {
+        const active = this.config.activeProfile;
+        return this.profiles.list().map(profile => ({ ...profile, active: profile.id === active }));
+    }
+
+    getProfile(id) {
+        return this.profiles.get(id);
+    }
+
+    /**
+     * 建立或更新設定檔，覆蓋內容和基本設定合併後必須通過驗證
+     */
+    saveProfile(profile) {
+        const errors = this.validateOverrides(profile.overrides || {});
+        if (errors.length > 0) throw new ConfigValidationError(errors);
+
+        return this.profiles.save(profile);
+    }
+
+    /**
+     * 複製設定檔
+     */
+    copyProfile(sourceId, { id, name, description }) {
+        const source = this.profiles.get(sourceId);
+        if (!source) return null;
+        if (this.profiles.exists(id)) {
+            throw new Error(`設定檔已存在: ${id}`);
+        }
+
+        return this.profiles.save({
+            id,
+            name: name || `${source.name} (複製)`,
+            description: description !== undefined ? description : source.description,
+            overrides: JSON.parse(JSON.stringify(source.overrides || {}))
+        });
+    }
+
+    deleteProfile(id) {
+        const removed = this.profiles.remove(id);
+        if (removed && this.config.activeProfile === id) {
+            this.setActiveProfile('');
+        }
+        return removed;
+    }
+
+    /**
+     * 匯出設定檔（可直接再匯入）
+     */
+    exportProfile(id) {
+        const profile = this.profiles.get(id);
+        if (!profile) return null;
+
+        return {
+            type: 'soultalk-profile',
+            exportedAt: new Date().toISOString(),
+            profile: {
+                id: profile.id,
+                name: profile.name,
+                description: profile.description,
+                overrides: profile.overrides
+            }
+        };
+    }
+
+    /**
+     * 匯入設定檔（接受 exportProfile() 的格式，或直接給 profile 物件）
+     * @param {object} payload - 匯入內容
+     * @param {object} options - { id: 改用的 ID, overwrite: 是否覆蓋同名設定檔 }
+     */
+    importProfile(payload, { id, overwrite = false } = {}) {
+        const profile = payload && payload.profile ? payload.profile : payload;
+        if (!profile || typeof profile !== 'object') {
+            throw new Error('匯入內容不是設定檔');
+        }
+
+        const targetId = id || profile.id;
+        if (!overwrite && this.profiles.exists(targetId)) {
+            throw new Error(`設定檔已存在: ${targetId}`);
+        }
+
+        return this.saveProfile({
+            id: targetId,
+            name: profile.name,
+            description: profile.description || '',
+            overrides: profile.overrides || {}
+        });
+    }
+
+    getActiveProfile() {
+        return this.config.activeProfile;
+    }
+
+    setActiveProfile(id) {
+        if (id && !this.profiles.exists(id)) {
+            throw new Error(`找不到設定檔: ${id}`);
+        }
+        return this.applySection('activeProfile', id || '');
+    }
+
+    // ========================================
+    // 地區覆蓋
+    // ========================================
+    getRegionOverrides() {
+        return this.config.regionOverrides || {};
+    }
+
+    /**
+     * 找出對應的地區 key（忽略前後空白與英文大小寫）
+     * @returns {string|null}
+     */
+    resolveRegion(region) {
+        if (!region || typeof region !== 'string') return null;
+        const target = region.trim().toLowerCase();
+        return Object.keys(this.getRegionOverrides()).find(key => key.trim().toLowerCase() === target) || null;
+    }
+
+    /**
+     * 設定某個地區的覆蓋內容（整個取代）
+     * @param {string} region - 地區名稱
+     * @param {object} overrides - { section: 部分內容 }
+     */
+    setRegionOverride(region, overrides) {
+        const key = this.resolveRegion(region) || String(region || '').trim();
+        if (!key) {
+            throw new ConfigValidationError([{ path: '/regionOverrides', message: '請提供地區名稱' }]);
+        }
+        if (!this.isObject(overrides)) {
+            throw new ConfigValidationError([{ path: `/regionOverrides/${key}`, message: '覆蓋內容必須是物件' }]);
+        }
+
+        const errors = this.validateOverrides(overrides, `/regionOverrides/${key}`);
+        if (errors.length > 0) throw new ConfigValidationError(errors);
+
+        return this.applySection('regionOverrides', { ...this.getRegionOverrides(), [key]: overrides });
+    }
+
+    deleteRegionOverride(region) {
+        const key = this.resolveRegion(region);
+        if (!key) return false;
+
+        const next = { ...this.getRegionOverrides() };
+        delete next[key];
+        return this.applySection('regionOverrides', next);
+    }
+
+    /**
+     * 驗證後寫入單一區塊
+     * 驗證失敗會丟出 ConfigValidationError，原本的設定不會被改動
+     */
+    applySection(section, value) {
+        configValidator.assertSection(section, value);
+        this.config[section] = value;
+        return this.saveAllConfigs();
+    }
+
     // 深度合併物件
     mergeDeep(target, source) {
         const output = Object.assign({}, target);
@@ -232,22 +665,34 @@ class ConfigManager {
     // ========================================
     // MBTI 顏色相關
     // ========================================
-    getMBTIColorGroups() {
-        return this.config.mbtiColorGroups;
+    getMBTIColorGroups(region) {
+        return this.current(region).mbtiColorGroups;
     }
 
-    setMBTIColorGroups(groups) {
-        this.config.mbtiColorGroups = groups;
-        return this.saveAllConfigs();
+    /**
+     * @param {object} groups - { male: [...], female: [...] }
+     * @param {object} options - { allowGaps: 有類型沒指定時仍要儲存 }
+     */
+    setMBTIColorGroups(groups, { allowGaps = false } = {}) {
+        configValidator.assertSection('mbtiColorGroups', groups);
+        if (!allowGaps) mbtiCoverage.assertComplete(groups);
+        return this.applySection('mbtiColorGroups', groups);
     }
 
-    // 根據性別和 MBTI 取得對應的顏色組
-    getColorsForMBTI(gender, mbti) {
+    // 檢查顏色組覆蓋（預設檢查目前生效的設定）
+    getMBTIColorCoverage(groups, region) {
+        return mbtiCoverage.analyze(groups || this.getMBTIColorGroups(region));
+    }
+
+    // 根據性別和 MBTI 取得對應的顏色組（可指定地區，MBTI 接受 INFP-T、infp 等寫法）
+    getColorsForMBTI(gender, mbti, region) {
         const genderKey = gender === '女性' || gender === 'female' ? 'female' : 'male';
-        const groups = this.config.mbtiColorGroups[genderKey] || [];
+        const config = this.current(region);
+        const groups = config.mbtiColorGroups[genderKey] || [];
+        const type = mbtiNormalizer.toType(mbti);
         
         for (const group of groups) {
-            if (group.assignedMBTI && group.assignedMBTI.includes(mbti)) {
+            if (type && group.assignedMBTI && group.assignedMBTI.includes(type)) {
                 return {
                     colors: group.colors,
                     direction: group.direction,
@@ -266,80 +711,42 @@ class ConfigManager {
         }
         
         return {
-            colors: this.config.backgroundSettings.defaultColors,
+            colors: config.backgroundSettings.defaultColors,
             direction: 'to-bottom-right',
             groupName: '預設'
         };
     }
 
-    // 根據 MBTI 字母取得視覺參數
-    getVisualParamsForMBTI(mbti) {
-        const params = this.config.mbtiVisualParams;
-        if (!params.enabled || !mbti || mbti.length !== 4) {
-            return {
-                starCount: 60,
-                shootingCount: 3,
-                gradientDirection: 'to-bottom-right'
-            };
-        }
-
-        const E_I = mbti[0];  // E 或 I
-        const S_N = mbti[1];  // S 或 N
-        const T_F = mbti[2];  // T 或 F
-        const J_P = mbti[3];  // J 或 P
-
-        let result = {
-            starCount: 60,
-            shootingCount: 3,
-            gradientDirection: 'to-bottom-right'
-        };
-
-        // E/I 影響漸層方向
-        if (params.gradientByEI) {
-            result.gradientDirection = E_I === 'E' ? 'to-bottom-right' : 'to-bottom';
-        }
-
-        // T/F 影響星星數量
-        if (params.starsByTF) {
-            result.starCount = T_F === 'T' ? params.starsT : params.starsF;
-        }
-
-        // P/J 影響流星頻率
-        if (params.shootingByPJ) {
-            result.shootingCount = J_P === 'P' ? params.shootingP : params.shootingJ;
-        }
-
-        return result;
+    // 根據 MBTI 取得視覺參數（基本對應 + 規則表，見 visual-rules.js）
+    getVisualParamsForMBTI(mbti, region) {
+        return visualRules.resolve(mbti, this.current(region).mbtiVisualParams);
     }
 
     // ========================================
     // 其他設定 Getter/Setter
     // ========================================
-    getCustomEnding() {
-        return this.config.customEnding;
+    getCustomEnding(region) {
+        return this.current(region).customEnding;
     }
 
     setCustomEnding(settings) {
-        this.config.customEnding = { ...this.config.customEnding, ...settings };
-        return this.saveAllConfigs();
+        return this.applySection('customEnding', { ...this.config.customEnding, ...settings });
     }
 
-    getImageKeywords() {
-        return this.config.imageKeywords;
+    getImageKeywords(region) {
+        return this.current(region).imageKeywords;
     }
 
     setImageKeywords(keywords) {
-        this.config.imageKeywords = { ...this.config.imageKeywords, ...keywords };
-        return this.saveAllConfigs();
+        return this.applySection('imageKeywords', { ...this.config.imageKeywords, ...keywords });
     }
 
-    getBackgroundSettings() {
-        return this.config.backgroundSettings;
+    getBackgroundSettings(region) {
+        return this.current(region).backgroundSettings;
     }
 
     setBackgroundSettings(settings) {
-        this.config.backgroundSettings = { ...this.config.backgroundSettings, ...settings };
-        return this.saveAllConfigs();
+        return this.applySection('backgroundSettings', { ...this.config.backgroundSettings, ...settings });
     }
 
     getNotifications() {
@@ -347,54 +754,109 @@ class ConfigManager {
     }
 
     setNotifications(settings) {
-        this.config.notifications = this.mergeDeep(this.config.notifications, settings);
-        return this.saveAllConfigs();
+        return this.applySection('notifications', this.mergeDeep(this.config.notifications, settings));
     }
 
-    getSubtitleStyles() {
-        return this.config.subtitleStyles;
+    getSubtitleStyles(region) {
+        return this.current(region).subtitleStyles;
     }
 
     setSubtitleStyles(styles) {
-        this.config.subtitleStyles = { ...this.config.subtitleStyles, ...styles };
-        return this.saveAllConfigs();
+        return this.applySection('subtitleStyles', { ...this.config.subtitleStyles, ...styles });
     }
 
-    getTitleStyles() {
-        return this.config.titleStyles;
+    getTitleStyles(region) {
+        return this.current(region).titleStyles;
     }
 
     setTitleStyles(styles) {
-        this.config.titleStyles = { ...this.config.titleStyles, ...styles };
-        return this.saveAllConfigs();
+        return this.applySection('titleStyles', { ...this.config.titleStyles, ...styles });
     }
 
-    getSlideshowSettings() {
-        return this.config.slideshowSettings;
+    getSlideshowSettings(region) {
+        return this.current(region).slideshowSettings;
     }
 
     setSlideshowSettings(settings) {
-        this.config.slideshowSettings = { ...this.config.slideshowSettings, ...settings };
-        return this.saveAllConfigs();
+        return this.applySection('slideshowSettings', { ...this.config.slideshowSettings, ...settings });
+    }
+
+    getTranscriptionSettings() {
+        return this.config.transcription;
+    }
+
+    setTranscriptionSettings(settings) {
+        return this.applySection('transcription', this.mergeDeep(this.config.transcription, settings));
+    }
+
+    getRagicSettings() {
+        return this.config.ragic;
+    }
+
+    setRagicSettings(settings) {
+        return this.applySection('ragic', this.mergeDeep(this.config.ragic, settings));
+    }
+
+    getCacheSettings() {
+        return this.config.cache;
+    }
+
+    setCacheSettings(settings) {
+        return this.applySection('cache', { ...this.config.cache, ...settings });
+    }
+
+    getUpstreamSettings() {
+        return this.config.upstream;
+    }
+
+    setUpstreamSettings(settings) {
+        return this.applySection('upstream', this.mergeDeep(this.config.upstream, settings));
     }
 
-    getMBTIVisualParams() {
-        return this.config.mbtiVisualParams;
+    // 實際使用的 Ragic 欄位對照表（預設 + 設定覆蓋）
+    getRagicFieldMappings() {
+        return mergeFieldMappings(this.config.ragicFields);
+    }
+
+    getRagicFieldOverrides() {
+        return this.config.ragicFields;
+    }
+
+    // 接受完整或部分對照表，部分對照表疊在目前的對照表上，只保存和預設不同的部分（傳 {} 表示全部還原成預設）
+    setRagicFieldMappings(mappings) {
+        configValidator.assertSection('ragicFields', mappings);
+        if (Object.keys(mappings).length === 0) {
+            return this.applySection('ragicFields', {});
+        }
+        return this.applySection('ragicFields', diffFieldMappings(this.mergeDeep(this.getRagicFieldMappings(), mappings)));
+    }
+
+    getMBTIVisualParams(region) {
+        return this.current(region).mbtiVisualParams;
     }
 
     setMBTIVisualParams(params) {
-        this.config.mbtiVisualParams = { ...this.config.mbtiVisualParams, ...params };
-        return this.saveAllConfigs();
+        return this.applySection('mbtiVisualParams', { ...this.config.mbtiVisualParams, ...params });
     }
 
-    // 取得所有設定
+    // 取得所有設定（基本設定，不套用設定檔）
     getAllConfig() {
         return this.config;
     }
 
+    // 取得基本設定的單一區塊，給設定頁面編輯用
+    getSection(section) {
+        return this.config[section];
+    }
+
     // 更新所有設定
-    updateConfig(newConfig) {
-        this.config = this.mergeDeep(this.config, newConfig);
+    updateConfig(newConfig, { allowGaps = false } = {}) {
+        const merged = this.mergeDeep(this.config, newConfig);
+        this.assertConfig(merged);
+        if (newConfig && newConfig.mbtiColorGroups && !allowGaps) {
+            mbtiCoverage.assertComplete(merged.mbtiColorGroups);
+        }
+        this.config = merged;
         return this.saveAllConfigs();
     }
 }
@@ -0,0 +1,141 @@
+/**
+ * 設定檔（Profile）
+ * 每個設定檔只記錄要覆蓋的區塊，套用時疊在 settings.json 上
+ * 例如聖誕節活動只覆蓋 mbtiColorGroups、customEnding、subtitleStyles、slideshowSettings
+ * 存在 data/config/profiles/<id>.json（和 settings.json 一起進版本控制）
+ * 讀過的設定檔會留在記憶體，只有透過 save()/remove() 修改時才更新
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// 設定檔可以覆蓋的區塊（通知、語音識別等系統設定不跟著活動切換）
+const PROFILE_SECTIONS = [
+    'mbtiColorGroups',
+    'mbtiVisualParams',
+    'customEnding',
+    'imageKeywords',
+    'backgroundSettings',
+    'subtitleStyles',
+    'titleStyles',
+    'slideshowSettings'
+];
+
+// 小寫英數與連字號，例如 christmas-2026
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+class ConfigProfiles {
+    /**
+     * @param {string} profilesDir - 設定檔資料夾
+     */
+    constructor(profilesDir) {
+        this.profilesDir = profilesDir;
+        // id → 解析後的設定檔；每個 getter 都會讀啟用中的設定檔，不能每次都讀硬碟
+        this.cache = new Map();
+        if (!fs.existsSync(this.profilesDir)) {
+            fs.mkdirSync(this.profilesDir, { recursive: true });
+        }
+    }
+
+    /**
+     * 列出所有設定檔（依 id 排序），不含覆蓋內容
+     */
+    list() {
+        return fs.readdirSync(this.profilesDir)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .map(file => {
+                try {
+                    return this.summary(JSON.parse(fs.readFileSync(path.join(this.profilesDir, file), 'utf8')));
+                } catch (err) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    get(id) {
+        if (!this.isValidId(id)) return null;
+        if (this.cache.has(id)) return this.cache.get(id);
+        const file = this.filePath(id);
+        if (!fs.existsSync(file)) return null;
+        const profile = JSON.parse(fs.readFileSync(file, 'utf8'));
+        this.cache.set(id, profile);
+        return profile;
+    }
+
+    exists(id) {
+        return this.isValidId(id) && (this.cache.has(id) || fs.existsSync(this.filePath(id)));
+    }
+
+    /**
+     * 建立或更新設定檔
+     * @param {object} profile - { id, name, description, overrides }
+     * @returns {object} - 儲存後的設定檔
+     */
+    save({ id, name, description, overrides }) {
+        if (!this.isValidId(id)) {
+            throw new Error('設定檔 ID 只能使用小寫英數與連字號（最多 40 字）');
+        }
+
+        const existing = this.get(id);
+        const now = new Date().toISOString();
+        const profile = {
+            id,
+            name: name || existing?.name || id,
+            description: description !== undefined ? description : (existing?.description || ''),
+            overrides: this.pickSections(overrides !== undefined ? overrides : (existing?.overrides || {})),
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        };
+
+        fs.writeFileSync(this.filePath(id), JSON.stringify(profile, null, 2), 'utf8');
+        this.cache.set(id, profile);
+        return profile;
+    }
+
+    remove(id) {
+        if (!this.exists(id)) return false;
+        fs.unlinkSync(this.filePath(id));
+        this.cache.delete(id);
+        return true;
+    }
+
+    /**
+     * 只保留設定檔可以覆蓋的區塊
+     */
+    pickSections(overrides) {
+        if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+            throw new Error('overrides 必須是物件');
+        }
+
+        const unknown = Object.keys(overrides).filter(key => !PROFILE_SECTIONS.includes(key));
+        if (unknown.length > 0) {
+            throw new Error(`設定檔不能覆蓋這些區塊: ${unknown.join(', ')}`);
+        }
+
+        return { ...overrides };
+    }
+
+    summary(profile) {
+        return {
+            id: profile.id,
+            name: profile.name,
+            description: profile.description || '',
+            sections: Object.keys(profile.overrides || {}),
+            createdAt: profile.createdAt,
+            updatedAt: profile.updatedAt
+        };
+    }
+
+    isValidId(id) {
+        return typeof id === 'string' && ID_PATTERN.test(id);
+    }
+
+    filePath(id) {
+        return path.join(this.profilesDir, `${id}.json`);
+    }
+}
+
+module.exports = ConfigProfiles;
+module.exports.PROFILE_SECTIONS = PROFILE_SECTIONS;
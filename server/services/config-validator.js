@@ -0,0 +1,196 @@
+/**
+ * 設定驗證器
+ * 每個設定區塊儲存前都要通過 schema 檢查（顏色格式、數值範圍、MBTI 代碼、漸層方向、模板變數）
+ * 不通過就丟出 ConfigValidationError，設定不會被儲存
+ */
+
+const Ajv = require('ajv');
+const schema = require('../schemas/config/settings.schema.json');
+const jsonValidator = require('./json-validator');
+const visualRules = require('./visual-rules');
+const endingTemplate = require('./ending-template');
+const { DEFAULT_VARIANT_ID } = require('./ending-variants');
+const { fieldMappings, isField } = require('../integrations/ragic/field-mappings');
+
+// 專屬結尾模板可以使用的變數
+const TEMPLATE_VARIABLES = Object.keys(endingTemplate.VARIABLES);
+
+class ConfigValidationError extends Error {
+    /**
+     * @param {Array<{ path: string, message: string }>} errors - 欄位錯誤
+     */
+    constructor(errors) {
+        super('設定格式錯誤');
+        this.name = 'ConfigValidationError';
+        this.errors = errors;
+    }
+}
+
+class ConfigValidator {
+    constructor() {
+        this.ajv = new Ajv({ allErrors: true, strict: false });
+        this.ajv.addSchema(schema);
+        this.validators = {};
+    }
+
+    get sections() {
+        return Object.keys(schema.properties);
+    }
+
+    /**
+     * 驗證單一區塊
+     * @param {string} section - 區塊名稱，例如 'subtitleStyles'
+     * @param {*} value - 完整的區塊內容（已和舊值合併）
+     * @returns {Array<{ path, message }>} - 錯誤列表，空陣列表示通過
+     */
+    validateSection(section, value) {
+        if (!schema.properties[section]) {
+            return [{ path: `/${section}`, message: '未知的設定區塊' }];
+        }
+
+        if (!this.validators[section]) {
+            this.validators[section] = this.ajv.compile({
+                $ref: `${schema.$id}#/definitions/${section}`
+            });
+        }
+
+        const validate = this.validators[section];
+        const errors = validate(value)
+            ? []
+            : jsonValidator.formatErrors(validate.errors).map(e => ({
+                ...e,
+                path: `/${section}${e.path === '/' ? '' : e.path}`
+            }));
+
+        return errors.concat(this.checkSectionRules(section, value));
+    }
+
+    /**
+     * 驗證整份設定
+     */
+    validateConfig(config) {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            return [{ path: '/', message: '設定必須是物件' }];
+        }
+
+        const errors = [];
+        for (const key of Object.keys(config)) {
+            errors.push(...this.validateSection(key, config[key]));
+        }
+        return errors;
+    }
+
+    /**
+     * 驗證失敗就丟出錯誤
+     */
+    assertSection(section, value) {
+        const errors = this.validateSection(section, value);
+        if (errors.length > 0) throw new ConfigValidationError(errors);
+    }
+
+    assertConfig(config) {
+        const errors = this.validateConfig(config);
+        if (errors.length > 0) throw new ConfigValidationError(errors);
+    }
+
+    /**
+     * schema 表達不了的跨欄位規則
+     */
+    checkSectionRules(section, value) {
+        const errors = [];
+        if (!value || typeof value !== 'object') return errors;
+
+        if (section === 'customEnding') {
+            if (typeof value.template === 'string') {
+                errors.push(...this.validateTemplate(value.template));
+            }
+            if (Array.isArray(value.variants)) {
+                const ids = new Set();
+                value.variants.forEach((variant, i) => {
+                    if (!variant) return;
+                    if (variant.id === DEFAULT_VARIANT_ID || ids.has(variant.id)) {
+                        errors.push({ path: `/customEnding/variants/${i}/id`, message: `重複或保留的版本 ID: ${variant.id}` });
+                    }
+                    ids.add(variant.id);
+                    if (typeof variant.template === 'string') {
+                        errors.push(...this.validateTemplate(variant.template, `/customEnding/variants/${i}/template`));
+                    }
+                });
+            }
+            if (value.fadeInDuration + value.fadeOutDuration > value.duration) {
+                errors.push({
+                    path: '/customEnding/duration',
+                    message: '顯示時長必須大於等於淡入 + 淡出時間'
+                });
+            }
+        }
+
+        if (section === 'mbtiVisualParams' && Array.isArray(value.rules)) {
+            value.rules.forEach((rule, i) => {
+                if (rule && typeof rule.match === 'string' && !visualRules.parseMatch(rule.match)) {
+                    errors.push({
+                        path: `/mbtiVisualParams/rules/${i}/match`,
+                        message: `無效的條件 ${rule.match}（同一組字母只能出現一個，例如 NF、ST、INFP-T）`
+                    });
+                }
+            });
+        }
+
+        if (section === 'ragicFields') {
+            errors.push(...this.checkFieldMappingKeys(value, fieldMappings, '/ragicFields'));
+        }
+
+        if (section === 'slideshowSettings' && value.zoomMax < value.zoomMin) {
+            errors.push({
+                path: '/slideshowSettings/zoomMax',
+                message: 'zoomMax 不能小於 zoomMin'
+            });
+        }
+
+        if (section === 'mbtiColorGroups') {
+            for (const gender of ['male', 'female']) {
+                const ids = new Set();
+                (Array.isArray(value[gender]) ? value[gender] : []).forEach((group, i) => {
+                    if (group && ids.has(group.id)) {
+                        errors.push({ path: `/mbtiColorGroups/${gender}/${i}/id`, message: `重複的組別 ID: ${group.id}` });
+                    }
+                    if (group) ids.add(group.id);
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * 檢查專屬結尾模板（未知變數、{#if} 沒有關閉等）
+     */
+    validateTemplate(template, path = '/customEnding/template') {
+        return endingTemplate.validate(template).map(message => ({ path, message }));
+    }
+
+    assertTemplate(template) {
+        const errors = this.validateTemplate(template);
+        if (errors.length > 0) throw new ConfigValidationError(errors);
+    }
+
+    /**
+     * Ragic 欄位對照只能覆蓋 field-mappings.js 裡有的欄位
+     */
+    checkFieldMappingKeys(value, defaults, basePath) {
+        const errors = [];
+        for (const [key, child] of Object.entries(value || {})) {
+            const base = defaults[key];
+            if (!base) {
+                errors.push({ path: `${basePath}/${key}`, message: `未知的欄位: ${key}` });
+            } else if (!isField(base) && child && typeof child === 'object') {
+                errors.push(...this.checkFieldMappingKeys(child, base, `${basePath}/${key}`));
+            }
+        }
+        return errors;
+    }
+}
+
+module.exports = new ConfigValidator();
+module.exports.ConfigValidationError = ConfigValidationError;
+module.exports.TEMPLATE_VARIABLES = TEMPLATE_VARIABLES;
@@ -0,0 +1,167 @@
+/**
+ * 資料快取
+ * 同一個代碼反覆載入時不用每次都呼叫 N8N / Ragic、重新解析 Minimax 網頁
+ * - ragic：Ragic 原始資料，key 為「代碼:模式」（存原始資料，欄位對照改了也會套用）
+ * - minimax：Minimax 解析結果，key 為網頁 URL
+ *
+ * 有效時間由設定 cache.ragicTtlSeconds / cache.minimaxTtlSeconds 決定（0 表示不快取），
+ * cache.persist 開啟時同時寫到 data/cache/<namespace>/，重開伺服器後還能使用
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const configManager = require('./config-manager');
+
+const NAMESPACES = {
+    ragic: 'ragicTtlSeconds',
+    minimax: 'minimaxTtlSeconds'
+};
+
+// 每個 namespace 在記憶體最多保留幾筆，超過時刪除最舊的
+const MAX_ENTRIES = 500;
+
+class DataCache {
+    constructor() {
+        this.cachePath = process.env.CACHE_PATH || path.join(__dirname, '../../data/cache');
+        this.entries = new Map(Object.keys(NAMESPACES).map(namespace => [namespace, new Map()]));
+    }
+
+    /**
+     * 取得快取
+     * @param {string} namespace - 'ragic' 或 'minimax'
+     * @param {string} key
+     * @returns {{ value: any, storedAt: string, expiresAt: string }|null} - 沒有或已過期時回傳 null
+     */
+    get(namespace, key) {
+        if (this.getTtl(namespace) <= 0) return null;
+
+        const entries = this.getEntries(namespace);
+        let entry = entries.get(key);
+        if (!entry && this.isPersistent()) {
+            entry = this.readFile(namespace, key);
+            if (entry) entries.set(key, entry);
+        }
+        if (!entry) return null;
+
+        if (Date.parse(entry.expiresAt) <= Date.now()) {
+            this.delete(namespace, key);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * 寫入快取（該 namespace 的 TTL 為 0 時不寫入）
+     */
+    set(namespace, key, value) {
+        const ttl = this.getTtl(namespace);
+        if (ttl <= 0) return null;
+
+        const now = Date.now();
+        const entry = {
+            key,
+            value,
+            storedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + ttl * 1000).toISOString()
+        };
+
+        const entries = this.getEntries(namespace);
+        entries.delete(key);
+        entries.set(key, entry);
+        if (entries.size > MAX_ENTRIES) {
+            entries.delete(entries.keys().next().value);
+        }
+
+        if (this.isPersistent()) {
+            const file = this.filePath(namespace, key);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, JSON.stringify(entry), 'utf8');
+        }
+        return entry;
+    }
+
+    /**
+     * 刪除一筆快取（記憶體與磁碟）
+     * @returns {boolean} - 是否有刪到
+     */
+    delete(namespace, key) {
+        const existed = this.getEntries(namespace).delete(key);
+        const file = this.filePath(namespace, key);
+        if (fs.existsSync(file)) {
+            fs.unlinkSync(file);
+            return true;
+        }
+        return existed;
+    }
+
+    /**
+     * 清除某個代碼的 Ragic 快取（MV 與語音模式）
+     * @returns {string[]} - 被清除的 key
+     */
+    deleteCode(code) {
+        return ['mv', 'audio']
+            .map(mode => `${code}:${mode}`)
+            .filter(key => this.delete('ragic', key));
+    }
+
+    /**
+     * 清除全部快取
+     */
+    clear() {
+        for (const namespace of Object.keys(NAMESPACES)) {
+            this.getEntries(namespace).clear();
+            fs.rmSync(path.join(this.cachePath, namespace), { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * 目前記憶體中的快取（不含內容）
+     */
+    list() {
+        const result = {};
+        for (const namespace of Object.keys(NAMESPACES)) {
+            result[namespace] = [...this.getEntries(namespace).values()]
+                .filter(entry => Date.parse(entry.expiresAt) > Date.now())
+                .map(({ key, storedAt, expiresAt }) => ({ key, storedAt, expiresAt }));
+        }
+        return result;
+    }
+
+    getEntries(namespace) {
+        const entries = this.entries.get(namespace);
+        if (!entries) {
+            throw new Error(`未知的快取類別: ${namespace}`);
+        }
+        return entries;
+    }
+
+    getTtl(namespace) {
+        const settings = configManager.getCacheSettings();
+        if (!settings.enabled) return 0;
+        return Number(settings[NAMESPACES[namespace]]) || 0;
+    }
+
+    isPersistent() {
+        const settings = configManager.getCacheSettings();
+        return Boolean(settings.enabled && settings.persist);
+    }
+
+    readFile(namespace, key) {
+        const file = this.filePath(namespace, key);
+        if (!fs.existsSync(file)) return null;
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            console.error(`讀取快取失敗 (${namespace}/${key}):`, error.message);
+            return null;
+        }
+    }
+
+    filePath(namespace, key) {
+        const hash = crypto.createHash('sha1').update(String(key)).digest('hex');
+        return path.join(this.cachePath, namespace, `${hash}.json`);
+    }
+}
+
+module.exports = new DataCache();
@@ -0,0 +1,207 @@
+/**
+ * 專屬結尾模板
+ * 把 customEnding.template 換成實際文字，支援：
+ * - 變數：{name}、{mbti}、{gender}、{region}、{songTitle}、{artist}、{title}、{speaker}
+ * - 預設值：{name|朋友}（沒有值時顯示「朋友」）
+ * - 條件：{#if songTitle}…{else}…{/if}，也可以寫 {#if gender=女}、{#if !region}、{#if mbti!=INFP}
+ * - 多行：模板裡的換行會保留；單獨一行的 {#if} / {else} / {/if} 不會留下空行
+ */
+
+const mbtiNormalizer = require('./mbti-normalizer');
+const endingVariants = require('./ending-variants');
+
+// 可以使用的變數（對應 Ragic 取回的欄位）
+const VARIABLES = {
+    name: '名字',
+    mbti: 'MBTI（四個字母）',
+    gender: '性別',
+    region: '地區',
+    songTitle: '歌曲名稱',
+    artist: '演唱者',
+    title: '標題（語音模式）',
+    speaker: '說話者（語音模式）'
+};
+
+// 設定頁面預覽用的示範資料
+const SAMPLE_DATA = {
+    name: '小明',
+    mbti: 'INFP-T',
+    gender: '女',
+    region: '台北',
+    songTitle: '星空下的你',
+    artist: 'SoulTalk',
+    title: '給未來的自己',
+    speaker: '小美'
+};
+
+const TAG_PATTERN = /\{([^{}\n]*)\}/g;
+const CONDITION_PATTERN = /^(!?)([A-Za-z]+)(?:\s*(!?=)\s*(.+))?$/;
+
+// 單獨佔一行的 {#if …} / {else} / {/if}：連同換行一起拿掉
+const STANDALONE_BLOCK_PATTERN = /^[ \t]*(\{\s*(?:#if\b[^{}\n]*|else|\/if)\s*\})[ \t]*\n/gm;
+
+class TemplateSyntaxError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TemplateSyntaxError';
+    }
+}
+
+class EndingTemplate {
+    /**
+     * 產生結尾文字
+     * @param {string} template - 模板
+     * @param {object} data - Ragic 取回的資料（或示範資料）
+     * @returns {string}
+     */
+    render(template, data = {}) {
+        const context = this.buildContext(data);
+        return this.renderNodes(this.parse(template), context).trim();
+    }
+
+    /**
+     * 檢查模板
+     * @returns {string[]} - 錯誤訊息，空陣列表示通過
+     */
+    validate(template) {
+        let nodes;
+        try {
+            nodes = this.parse(template);
+        } catch (error) {
+            if (error instanceof TemplateSyntaxError) return [error.message];
+            throw error;
+        }
+
+        const unknown = [...new Set(this.collectVariables(nodes))].filter(name => !VARIABLES[name]);
+        return unknown.map(name =>
+            `不支援的變數 {${name}}，可用: ${Object.keys(VARIABLES).map(v => `{${v}}`).join('、')}`
+        );
+    }
+
+    /**
+     * 解析成節點：text / var / if
+     */
+    parse(template) {
+        const source = String(template || '')
+            .replace(/\r\n?/g, '\n')
+            .replace(STANDALONE_BLOCK_PATTERN, '$1');
+
+        const root = { children: [] };
+        const stack = [root];
+        let current = root.children;
+        let lastIndex = 0;
+
+        for (const match of source.matchAll(TAG_PATTERN)) {
+            if (match.index > lastIndex) {
+                current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+            }
+            lastIndex = match.index + match[0].length;
+
+            const tag = match[1].trim();
+            const block = stack[stack.length - 1];
+
+            if (tag.startsWith('#if')) {
+                const node = { type: 'if', condition: this.parseCondition(tag.slice(3).trim()), then: [], else: null };
+                current.push(node);
+                stack.push(node);
+                current = node.then;
+            } else if (tag === 'else') {
+                if (block === root) throw new TemplateSyntaxError('{else} 前面少了 {#if …}');
+                if (block.else) throw new TemplateSyntaxError('同一個 {#if} 只能有一個 {else}');
+                block.else = [];
+                current = block.else;
+            } else if (tag === '/if') {
+                if (block === root) throw new TemplateSyntaxError('{/if} 前面少了 {#if …}');
+                stack.pop();
+                const parent = stack[stack.length - 1];
+                current = parent === root ? root.children : (parent.else || parent.then);
+            } else {
+                current.push(this.parseVariable(tag));
+            }
+        }
+
+        if (stack.length > 1) throw new TemplateSyntaxError('{#if …} 沒有對應的 {/if}');
+        if (lastIndex < source.length) {
+            current.push({ type: 'text', value: source.slice(lastIndex) });
+        }
+
+        return root.children;
+    }
+
+    parseVariable(tag) {
+        const [name, ...rest] = tag.split('|');
+        if (!/^[A-Za-z]+$/.test(name.trim())) {
+            throw new TemplateSyntaxError(`無效的變數寫法 {${tag}}`);
+        }
+        return {
+            type: 'var',
+            name: name.trim(),
+            fallback: rest.length > 0 ? rest.join('|') : ''
+        };
+    }
+
+    parseCondition(expression) {
+        const match = expression.match(CONDITION_PATTERN);
+        if (!match || (match[1] && match[3])) {
+            throw new TemplateSyntaxError(`無效的條件 {#if ${expression}}（例如 {#if songTitle}、{#if gender=女}）`);
+        }
+        const [, not, name, operator = null, value = ''] = match;
+        return { name, not: Boolean(not), operator, value: value.trim() };
+    }
+
+    renderNodes(nodes, context) {
+        return nodes.map(node => {
+            if (node.type === 'text') return node.value;
+            if (node.type === 'var') return context[node.name] || node.fallback;
+            return this.renderNodes(this.test(node.condition, context) ? node.then : (node.else || []), context);
+        }).join('');
+    }
+
+    test(condition, context) {
+        const value = context[condition.name] || '';
+        if (!condition.operator) {
+            return condition.not ? !value : Boolean(value);
+        }
+        const equal = condition.name === 'gender'
+            ? this.sameGender(value, condition.value)
+            // 比較時不分大小寫（{#if mbti=infp}）
+            : value.toUpperCase() === condition.value.toUpperCase();
+        return condition.operator === '=' ? equal : !equal;
+    }
+
+    // Ragic 存的是「女性」/「男性」，和結尾版本一樣把 女 / 女性 / female / f 視為相同
+    sameGender(value, expected) {
+        const actual = endingVariants.normalizeGender(value);
+        const target = endingVariants.normalizeGender(expected);
+        if (actual && target) return actual === target;
+        return value.toUpperCase() === expected.toUpperCase();
+    }
+
+    collectVariables(nodes) {
+        return nodes.flatMap(node => {
+            if (node.type === 'var') return [node.name];
+            if (node.type === 'if') {
+                return [node.condition.name, ...this.collectVariables(node.then), ...this.collectVariables(node.else || [])];
+            }
+            return [];
+        });
+    }
+
+    /**
+     * 整理變數值（{mbti} 只放四個字母，例如 INFP-T → INFP）
+     */
+    buildContext(data) {
+        const context = {};
+        for (const name of Object.keys(VARIABLES)) {
+            const value = data[name];
+            context[name] = value === null || value === undefined ? '' : String(value).trim();
+        }
+        context.mbti = mbtiNormalizer.toType(data.mbti) || context.mbti;
+        return context;
+    }
+}
+
+module.exports = new EndingTemplate();
+module.exports.TemplateSyntaxError = TemplateSyntaxError;
+module.exports.VARIABLES = VARIABLES;
+module.exports.SAMPLE_DATA = SAMPLE_DATA;
@@ -0,0 +1,146 @@
+/**
+ * 專屬結尾版本（A/B 輪替）
+ * customEnding.variants 可以依 MBTI 類型、類型群組（NF/NT/SJ/SP）、性別設定不同的結尾模板，
+ * 同一組可以放多個版本依 weight 輪替，產生的 JSON 會在 meta.endingVariant 記錄用了哪個版本
+ *
+ * 依序往下找，第一個有版本的就用那一組：
+ * 1. 類型 + 性別（INFP + 女）
+ * 2. 類型（INFP）
+ * 3. 群組 + 性別（NF + 女）
+ * 4. 群組（NF）
+ * 5. 性別（女）
+ * 6. 不限（沒填 mbti 和 gender 的版本）
+ * 7. 都沒有時用 customEnding.template，版本 ID 記為 'default'
+ *
+ * 同一個種子（通常是 Ragic 代碼）一定選到同一個版本，重新產生不會換掉
+ */
+
+const mbtiNormalizer = require('./mbti-normalizer');
+
+const DEFAULT_VARIANT_ID = 'default';
+
+// Keirsey 四大群組：直覺型看 T/F，實感型看 J/P
+const TYPE_GROUPS = ['NF', 'NT', 'SJ', 'SP'];
+
+const GENDER_ALIASES = {
+    female: ['female', 'f', '女', '女性'],
+    male: ['male', 'm', '男', '男性']
+};
+
+class EndingVariants {
+    /**
+     * 選出要用的結尾版本
+     * @param {object} ending - customEnding 設定
+     * @param {object} data - { mbti, gender }
+     * @param {string|number} seed - 亂數種子，沒有時隨機
+     * @returns {{ id: string, template: string, bucket: string }}
+     */
+    select(ending, data = {}, seed) {
+        const resolved = this.resolve(ending, data);
+        if (resolved.candidates.length === 0) {
+            return { id: DEFAULT_VARIANT_ID, template: ending.template || '', bucket: resolved.bucket };
+        }
+
+        const variant = this.pickWeighted(resolved.candidates, this.createRandom(seed, resolved.bucket));
+        return { id: variant.id, template: variant.template, bucket: resolved.bucket };
+    }
+
+    /**
+     * 找出會套用的那一組，以及每個版本被選到的機率
+     * @returns {{ type, group, gender, chain: string[], bucket: string, candidates: Array }}
+     */
+    resolve(ending, data = {}) {
+        const type = mbtiNormalizer.toType(data.mbti);
+        const group = this.getGroup(type);
+        const gender = this.normalizeGender(data.gender);
+        const variants = (Array.isArray(ending?.variants) ? ending.variants : [])
+            .filter(variant => this.getWeight(variant) > 0);
+
+        const chain = this.getChain(type, group, gender);
+        for (const step of chain) {
+            const candidates = variants.filter(variant =>
+                (variant.mbti || null) === step.mbti && (variant.gender || null) === step.gender
+            );
+            if (candidates.length > 0) {
+                const total = candidates.reduce((sum, variant) => sum + this.getWeight(variant), 0);
+                return {
+                    type, group, gender,
+                    chain: chain.map(s => s.label),
+                    bucket: step.label,
+                    candidates: candidates.map(variant => ({
+                        ...variant,
+                        probability: Math.round(this.getWeight(variant) / total * 1000) / 1000
+                    }))
+                };
+            }
+        }
+
+        return { type, group, gender, chain: chain.map(s => s.label), bucket: DEFAULT_VARIANT_ID, candidates: [] };
+    }
+
+    /**
+     * 依序往下找的組別（沒有的條件會跳過）
+     */
+    getChain(type, group, gender) {
+        const steps = [];
+        const add = (mbti, g) => steps.push({ mbti, gender: g, label: [mbti, g].filter(Boolean).join('/') || '*' });
+
+        if (type && gender) add(type, gender);
+        if (type) add(type, null);
+        if (group && gender) add(group, gender);
+        if (group) add(group, null);
+        if (gender) add(null, gender);
+        add(null, null);
+        return steps;
+    }
+
+    /**
+     * INFP → NF、ISTJ → SJ
+     */
+    getGroup(type) {
+        if (!type) return null;
+        return type[1] === 'N' ? `N${type[2]}` : `S${type[3]}`;
+    }
+
+    normalizeGender(gender) {
+        const value = String(gender || '').trim().toLowerCase();
+        for (const [key, aliases] of Object.entries(GENDER_ALIASES)) {
+            if (aliases.includes(value)) return key;
+        }
+        return null;
+    }
+
+    getWeight(variant) {
+        return variant.weight === undefined ? 1 : Number(variant.weight) || 0;
+    }
+
+    pickWeighted(candidates, random) {
+        const total = candidates.reduce((sum, variant) => sum + this.getWeight(variant), 0);
+        let point = random() * total;
+        for (const variant of candidates) {
+            point -= this.getWeight(variant);
+            if (point < 0) return variant;
+        }
+        return candidates[candidates.length - 1];
+    }
+
+    /**
+     * 種子 + 組別 → 固定的亂數（沒有種子時用 Math.random）
+     */
+    createRandom(seed, bucket) {
+        if (seed === undefined || seed === null || seed === '') return Math.random;
+
+        const text = `${seed}:${bucket}`;
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        const value = hash >>> 0;
+        return () => value / 4294967296;
+    }
+}
+
+module.exports = new EndingVariants();
+module.exports.DEFAULT_VARIANT_ID = DEFAULT_VARIANT_ID;
+module.exports.TYPE_GROUPS = TYPE_GROUPS;
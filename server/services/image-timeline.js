@@ -0,0 +1,216 @@
+/**
+ * 圖片時間軸產生器
+ * 依歌曲長度、圖片分類（full / transparent / background）與輪播設定產生 MV 的 imageTimeline
+ * - 去背人物（transparent）會疊在背景圖（background）上面
+ * - 每張圖都有 Ken-Burns 縮放（zoomStart → zoomEnd）
+ * - 專屬結尾時段保留給結尾畫面
+ * - 同一個 seed 一定產生相同的結果
+ */
+
+const configManager = require('./config-manager');
+
+// Ken-Burns 縮放的中心點
+const ORIGINS = ['center', 'top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+// 圖層順序
+const LAYERS = {
+    background: 0,
+    full: 0,
+    transparent: 1
+};
+
+class ImageTimeline {
+    /**
+     * 產生 imageTimeline
+     * @param {object} params
+     * @param {object} params.images - extractImages() 的結果 { full, transparent, background }
+     * @param {number} params.duration - 歌曲長度（秒）
+     * @param {string|number} params.seed - 亂數種子（通常是 Ragic 代碼）
+     * @param {object} params.slideshow - 覆蓋 slideshowSettings
+     * @param {object} params.ending - 覆蓋 customEnding（用 enabled 與 duration 決定結尾時段）
+     * @param {string} params.region - 地區（套用地區覆蓋的輪播與結尾設定）
+     * @returns {Array} - 時間軸項目
+     */
+    generate({ images, duration, seed = 0, slideshow, ending, region } = {}) {
+        if (!images || !duration || duration <= 0) {
+            return [];
+        }
+
+        const settings = { ...configManager.getSlideshowSettings(region), ...(slideshow || {}) };
+        const endingConfig = { ...configManager.getCustomEnding(region), ...(ending || {}) };
+        const random = this.createRandom(seed);
+
+        const slides = this.buildSlides(images, random);
+        if (slides.length === 0) {
+            return [];
+        }
+
+        // 結尾時段：最後 customEnding.duration 秒
+        const endingDuration = endingConfig.enabled ? Math.min(endingConfig.duration || 0, duration) : 0;
+        const slideshowEnd = duration - endingDuration;
+
+        const slideDuration = Math.max(1, settings.duration || 8);
+        const transition = Math.max(0, (settings.transitionDuration || 0) / 1000);
+        const zoomMin = settings.zoomMin || 1;
+        const zoomMax = Math.max(zoomMin, settings.zoomMax || zoomMin);
+
+        const timeline = [];
+        let start = 0;
+        let slideIndex = 0;
+
+        while (start < slideshowEnd - 0.001) {
+            const slide = slides[slideIndex % slides.length];
+            // 最後一段太短就併入前一張
+            let end = Math.min(start + slideDuration, slideshowEnd);
+            if (slideshowEnd - end < slideDuration / 2) {
+                end = slideshowEnd;
+            }
+
+            const zoomIn = slideIndex % 2 === 0;
+            const origin = ORIGINS[Math.floor(random() * ORIGINS.length)];
+
+            for (const layer of slide) {
+                timeline.push(this.createEntry(layer, {
+                    slideIndex,
+                    start,
+                    end,
+                    transition,
+                    // 去背人物縮放幅度減半，避免人物被裁切
+                    zoom: this.pickZoom(random, zoomMin, zoomMax, zoomIn, layer.type === 'transparent' ? 0.5 : 1),
+                    origin: layer.type === 'transparent' ? 'bottom' : origin
+                }));
+            }
+
+            start = end;
+            slideIndex++;
+        }
+
+        // 結尾畫面：用第一張完整圖（或背景）淡淡地襯在結尾文字後面
+        if (endingDuration > 0) {
+            const endingImage = images.full?.[0] || images.background?.[0];
+            if (endingImage) {
+                timeline.push({
+                    ...this.createEntry(
+                        { ...endingImage, type: endingImage.type || 'full' },
+                        {
+                            slideIndex,
+                            start: slideshowEnd,
+                            end: duration,
+                            transition,
+                            zoom: { zoomStart: zoomMin, zoomEnd: zoomMin },
+                            origin: 'center'
+                        }
+                    ),
+                    role: 'ending',
+                    opacity: 0.3
+                });
+            }
+        }
+
+        return timeline;
+    }
+
+    /**
+     * 把圖片組成投影片
+     * 每張投影片是一組圖層：完整圖單獨一張；去背人物疊在背景圖上
+     */
+    buildSlides(images, random) {
+        const full = this.shuffle(images.full || [], random);
+        const transparent = this.shuffle(images.transparent || [], random);
+        const background = this.shuffle(images.background || [], random);
+
+        const fullSlides = full.map(img => [{ ...img, type: 'full' }]);
+        const layeredSlides = transparent.map((img, i) => {
+            const layers = [];
+            if (background.length > 0) {
+                layers.push({ ...background[i % background.length], type: 'background' });
+            }
+            layers.push({ ...img, type: 'transparent' });
+            return layers;
+        });
+
+        // 沒有去背人物時，背景圖單獨當投影片
+        const backgroundSlides = transparent.length === 0
+            ? background.map(img => [{ ...img, type: 'background' }])
+            : [];
+
+        // 完整圖與疊圖交錯排列
+        const slides = [];
+        const groups = [fullSlides, layeredSlides, backgroundSlides];
+        const maxLength = Math.max(...groups.map(g => g.length));
+        for (let i = 0; i < maxLength; i++) {
+            for (const group of groups) {
+                if (group[i]) slides.push(group[i]);
+            }
+        }
+        return slides;
+    }
+
+    createEntry(image, { slideIndex, start, end, transition, zoom, origin }) {
+        return {
+            url: image.url,
+            title: image.title || '',
+            type: image.type,
+            slideIndex,
+            layer: LAYERS[image.type] || 0,
+            start: this.round(start),
+            end: this.round(end),
+            transitionIn: this.round(transition),
+            zoomStart: zoom.zoomStart,
+            zoomEnd: zoom.zoomEnd,
+            origin
+        };
+    }
+
+    /**
+     * 決定縮放起訖，奇偶投影片交替放大/縮小
+     */
+    pickZoom(random, zoomMin, zoomMax, zoomIn, scale = 1) {
+        const range = (zoomMax - zoomMin) * scale;
+        // 至少用一半的縮放範圍，效果才看得出來
+        const amount = range * (0.5 + random() * 0.5);
+        const low = this.round(zoomMin);
+        const high = this.round(zoomMin + amount);
+        return zoomIn
+            ? { zoomStart: low, zoomEnd: high }
+            : { zoomStart: high, zoomEnd: low };
+    }
+
+    /**
+     * 以種子建立可重現的亂數（mulberry32）
+     */
+    createRandom(seed) {
+        let state = typeof seed === 'number' ? seed >>> 0 : this.hashString(String(seed));
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    hashString(text) {
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    shuffle(list, random) {
+        const result = [...list];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+module.exports = new ImageTimeline();
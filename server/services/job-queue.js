@@ -0,0 +1,370 @@
+/**
+ * 工作佇列
+ * 耗時的步驟（語音識別、歌詞對齊、上傳、批次）放進佇列在背景執行，
+ * 每個工作存成 data/jobs/<id>.json，伺服器重開後沒跑完的工作會重新開始
+ *
+ * 工作狀態：queued → running → done / failed
+ * 失敗時在 maxAttempts 次數內自動重試，用完之後可以用 retry() 手動重跑
+ *
+ * Handler 介面：
+ *   async (params, { job, progress(percent), checkpoint(state) }) => result
+ *   checkpoint() 會馬上寫入檔案，重開後 job.state 還在，可以接續上次的進度
+ *
+ * 工作執行中，任何服務都可以呼叫 jobQueue.stage() 回報進行到哪個階段（不在工作中時不做事），
+ * 每次更新發出 'update' 事件、每個新階段發出 'stage' 事件，給 SSE 即時推送
+ *
+ * 互動工作（interactive，例如頁面載入資料、產生 JSON）：頁面等著結果，新增後馬上執行，
+ * 不佔 JOB_CONCURRENCY 的名額（背景工作塞滿時頁面也不會卡住），只放在記憶體、不寫檔案，重開後不接續
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const configManager = require('./config-manager');
+
+const STATUSES = ['queued', 'running', 'failed', 'done'];
+
+// 同時執行的工作數量
+const DEFAULT_CONCURRENCY = 3;
+// 自動重試前等待：5 秒、10 秒、20 秒…最多 1 分鐘
+const RETRY_DELAY = 5000;
+const MAX_RETRY_DELAY = 60000;
+// 已結束的工作最多保留幾筆
+const MAX_FINISHED = 200;
+// 進度更新最快每秒寫一次檔案
+const SAVE_INTERVAL = 1000;
+// 每個工作保留最近幾個階段
+const MAX_STAGES = 50;
+
+/**
+ * 工作目前的狀態不允許這個操作（例如重跑還沒結束的工作）
+ */
+class JobStateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'JobStateError';
+    }
+}
+
+class JobQueue extends EventEmitter {
+    constructor() {
+        super();
+        this.setMaxListeners(0);
+        this.jobsPath = process.env.JOBS_PATH || path.join(__dirname, '../../data/jobs');
+        this.concurrency = parseInt(process.env.JOB_CONCURRENCY, 10) || DEFAULT_CONCURRENCY;
+        this.handlers = {};
+        this.jobs = new Map();
+        this.savedAt = new Map();
+        this.running = 0;
+        this.timer = null;
+        // 目前在哪個工作裡執行（給 stage() 使用）
+        this.scope = new AsyncLocalStorage();
+        this.load();
+    }
+
+    /**
+     * 註冊工作類型
+     * @param {string} type - 工作類型
+     * @param {Function} handler - async (params, context) => result
+     * @param {object} options - { maxAttempts: 失敗時最多執行幾次（預設 1）, interactive: 是否為互動工作 }
+     */
+    registerHandler(type, handler, options = {}) {
+        this.handlers[type] = { handler, maxAttempts: options.maxAttempts || 1, interactive: Boolean(options.interactive) };
+    }
+
+    /**
+     * 把上次沒跑完的工作（queued / running）重新排進佇列
+     * 伺服器啟動、註冊完所有工作類型後呼叫
+     * @returns {number} - 重新排入的工作數
+     */
+    resume() {
+        const unfinished = [...this.jobs.values()].filter(job => job.status === 'queued' || job.status === 'running');
+        for (const job of unfinished) {
+            if (job.status === 'running') {
+                // 執行到一半伺服器就停了，這次不算失敗
+                this.update(job, { status: 'queued', runAfter: null });
+            }
+        }
+        if (unfinished.length > 0) {
+            console.log(`⚙️ 接續 ${unfinished.length} 個未完成的工作`);
+        }
+        this.pump();
+        return unfinished.length;
+    }
+
+    /**
+     * 新增工作（會記住目前套用的設定檔，執行時套用同一個）
+     * @param {string} type - 工作類型
+     * @param {object} params - 傳給 handler 的參數（需能存成 JSON）
+     * @returns {object} - 工作資料
+     */
+    add(type, params = {}) {
+        const entry = this.handlers[type];
+        if (!entry) {
+            throw new Error(`未知的工作類型: ${type}`);
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomBytes(8).toString('hex'),
+            type,
+            status: 'queued',
+            progress: 0,
+            stage: null,
+            stages: [],
+            params,
+            profile: configManager.getCurrentProfileId(),
+            attempts: 0,
+            maxAttempts: entry.maxAttempts,
+            interactive: entry.interactive,
+            state: null,
+            result: null,
+            error: null,
+            runAfter: null,
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            finishedAt: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.save(job);
+        this.prune();
+        this.emit('update', job);
+        this.pump();
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * 列出工作（新的在前），不含參數與結果
+     * @param {object} filter - { status, type }
+     */
+    list(filter = {}) {
+        if (filter.status && !STATUSES.includes(filter.status)) {
+            throw new Error(`未知的工作狀態: ${filter.status}`);
+        }
+        return [...this.jobs.values()]
+            .filter(job => !filter.status || job.status === filter.status)
+            .filter(job => !filter.type || job.type === filter.type)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(job => this.summary(job));
+    }
+
+    /**
+     * 手動重跑失敗的工作（重新給一輪自動重試次數，state 保留）
+     * @returns {object|null} - 工作資料，找不到時為 null
+     */
+    retry(id) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+        if (job.status !== 'failed') {
+            throw new JobStateError(`只有失敗的工作可以重跑（目前狀態: ${job.status}）`);
+        }
+
+        const entry = this.handlers[job.type];
+        this.update(job, {
+            status: 'queued',
+            progress: 0,
+            maxAttempts: job.attempts + (entry ? entry.maxAttempts : 1),
+            result: null,
+            error: null,
+            runAfter: null,
+            finishedAt: null
+        });
+        this.pump();
+        return job;
+    }
+
+    /**
+     * 等工作結束（done 或 failed，自動重試中不算結束）
+     * @returns {Promise<object>} - 結束時的工作資料
+     */
+    wait(id) {
+        return new Promise((resolve, reject) => {
+            if (!this.jobs.has(id)) {
+                return reject(new Error(`找不到工作: ${id}`));
+            }
+            const check = job => {
+                if (job.id === id && (job.status === 'done' || job.status === 'failed')) {
+                    this.off('update', check);
+                    resolve(job);
+                }
+            };
+            this.on('update', check);
+            check(this.jobs.get(id));
+        });
+    }
+
+    /**
+     * 目前正在執行的工作（不在工作中時為 null）
+     */
+    current() {
+        return this.scope.getStore() || null;
+    }
+
+    /**
+     * 回報目前工作進行到哪個階段
+     * @param {string} stage - 階段代號（ragic / minimax / parse / probe / build / upload…）
+     * @param {string} message - 給使用者看的說明
+     * @param {number} progress - 這個階段開始時的進度（0–99，可省略）
+     */
+    stage(stage, message, progress) {
+        const job = this.current();
+        if (!job) return;
+
+        const entry = { stage, message, at: new Date().toISOString() };
+        const fields = { stage, stages: [...(job.stages || []), entry].slice(-MAX_STAGES) };
+        if (progress !== undefined) {
+            fields.progress = Math.max(job.progress, Math.min(99, Math.round(progress)));
+        }
+        this.update(job, fields);
+        this.emit('stage', job, entry);
+    }
+
+    /**
+     * 有空位就開始執行排隊中的工作（先進先出），還沒到重試時間的工作排定計時器
+     */
+    pump() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const now = Date.now();
+        let nextAt = null;
+        const queued = [...this.jobs.values()]
+            .filter(job => job.status === 'queued' && this.handlers[job.type])
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        for (const job of queued) {
+            const runAt = job.runAfter ? Date.parse(job.runAfter) : 0;
+            if (runAt > now) {
+                nextAt = nextAt === null ? runAt : Math.min(nextAt, runAt);
+            } else if (job.interactive || this.running < this.concurrency) {
+                this.execute(job);
+            }
+        }
+
+        if (nextAt !== null) {
+            this.timer = setTimeout(() => this.pump(), nextAt - now);
+            this.timer.unref();
+        }
+    }
+
+    async execute(job) {
+        const { handler } = this.handlers[job.type];
+        if (!job.interactive) this.running++;
+        this.update(job, {
+            status: 'running',
+            progress: 0,
+            stage: null,
+            stages: [],
+            attempts: job.attempts + 1,
+            error: null,
+            runAfter: null,
+            startedAt: new Date().toISOString()
+        });
+        console.log(`⚙️ 開始工作 ${job.type} ${job.id}（第 ${job.attempts} 次）`);
+
+        const context = {
+            job,
+            progress: percent => this.update(job, {
+                progress: Math.max(job.progress, Math.min(99, Math.round(percent)))
+            }, { throttle: true }),
+            checkpoint: state => this.update(job, { state })
+        };
+
+        try {
+            const result = await this.scope.run(job, () =>
+                configManager.runWithProfile(job.profile, () => handler(job.params, context)));
+            this.update(job, { status: 'done', progress: 100, result, finishedAt: new Date().toISOString() });
+            console.log(`✅ 工作完成 ${job.type} ${job.id}`);
+        } catch (error) {
+            if (job.attempts < job.maxAttempts) {
+                const delay = Math.min(RETRY_DELAY * 2 ** (job.attempts - 1), MAX_RETRY_DELAY);
+                console.error(`⚠️ 工作 ${job.type} ${job.id} 失敗，${delay / 1000} 秒後重試:`, error.message);
+                this.update(job, {
+                    status: 'queued',
+                    error: error.message,
+                    runAfter: new Date(Date.now() + delay).toISOString()
+                });
+            } else {
+                console.error(`❌ 工作 ${job.type} ${job.id} 失敗:`, error.message);
+                this.update(job, { status: 'failed', error: error.message, finishedAt: new Date().toISOString() });
+            }
+        } finally {
+            if (!job.interactive) this.running--;
+            this.prune();
+            this.pump();
+        }
+    }
+
+    /**
+     * 更新工作並寫入檔案（throttle 時同一個工作每秒最多寫一次）
+     */
+    update(job, fields, options = {}) {
+        Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+        const savedAt = this.savedAt.get(job.id) || 0;
+        if (!options.throttle || Date.now() - savedAt >= SAVE_INTERVAL) {
+            this.save(job);
+        }
+        this.emit('update', job);
+    }
+
+    summary(job) {
+        const { params, state, result, stages, ...summary } = job;
+        return summary;
+    }
+
+    load() {
+        if (!fs.existsSync(this.jobsPath)) return;
+
+        for (const file of fs.readdirSync(this.jobsPath).filter(name => name.endsWith('.json'))) {
+            try {
+                const job = JSON.parse(fs.readFileSync(path.join(this.jobsPath, file), 'utf8'));
+                this.jobs.set(job.id, job);
+            } catch (error) {
+                console.error(`讀取工作失敗 (${file}):`, error.message);
+            }
+        }
+    }
+
+    save(job) {
+        // 互動工作只放在記憶體
+        if (job.interactive) return;
+
+        // 先寫暫存檔再改名，寫到一半停掉也不會留下壞掉的 JSON
+        const file = this.filePath(job.id);
+        fs.mkdirSync(this.jobsPath, { recursive: true });
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(job, null, 2), 'utf8');
+        fs.renameSync(`${file}.tmp`, file);
+        this.savedAt.set(job.id, Date.now());
+    }
+
+    /**
+     * 已結束的工作超過保留數量時，刪除最舊的
+     */
+    prune() {
+        const finished = [...this.jobs.values()]
+            .filter(job => job.status === 'done' || job.status === 'failed')
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+        for (const job of finished.slice(MAX_FINISHED)) {
+            this.jobs.delete(job.id);
+            this.savedAt.delete(job.id);
+            fs.rmSync(this.filePath(job.id), { force: true });
+        }
+    }
+
+    filePath(id) {
+        return path.join(this.jobsPath, `${id}.json`);
+    }
+}
+
+module.exports = new JobQueue();
+module.exports.JobStateError = JobStateError;
+module.exports.STATUSES = STATUSES;
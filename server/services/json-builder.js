@@ -0,0 +1,265 @@
+/**
+ * JSON 產生器
+ * 在伺服器端組出 MV / 語音模式給 WordPress 播放器使用的最終 JSON
+ * 頁面、腳本、批次作業都透過這裡產生，確保輸出格式一致
+ */
+
+const configManager = require('./config-manager');
+const minimaxParser = require('./minimax-parser');
+const audioProbe = require('./audio-probe');
+const imageTimeline = require('./image-timeline');
+const endingTemplate = require('./ending-template');
+const endingVariants = require('./ending-variants');
+const ragicClient = require('../integrations/ragic/client');
+const jobQueue = require('./job-queue');
+
+const JSON_VERSION = '2.0.0';
+// 偵測不到音頻長度、頁面也沒有提供時使用的長度（秒）
+const FALLBACK_DURATION = 180;
+
+class JsonBuilder {
+    /**
+     * 取得 Ragic 資料，MV 模式會自動解析 Minimax 連結，並偵測音頻長度
+     * @param {string} code - Ragic 代碼
+     * @param {string} mode - 'mv' 或 'audio'
+     * @param {object} options - { refresh: true 表示略過 Ragic 與 Minimax 快取 }
+     * @returns {Promise<object>} - 處理後的資料
+     */
+    async fetchData(code, mode = 'mv', options = {}) {
+        jobQueue.stage('ragic', `從 Ragic 載入 ${code}`, 10);
+        const data = await ragicClient.fetchByCode(code, mode, options);
+
+        // 檢查是否需要解析 Minimax URL
+        if (mode === 'mv' && data.audioUrl && minimaxParser.isMinimaxUrl(data.audioUrl)) {
+            console.log('\n🎵 偵測到 Minimax URL，開始解析...');
+            const minimaxData = await minimaxParser.parse(data.audioUrl, options);
+
+            if (minimaxData.audioUrl) {
+                data.audioUrl = minimaxData.audioUrl;
+            }
+            if (!data.lyrics && minimaxData.lyrics) {
+                data.lyrics = minimaxData.lyrics;
+            }
+            if (!data.songTitle && minimaxData.songTitle) {
+                data.songTitle = minimaxData.songTitle;
+            }
+            if (!data.artist && minimaxData.artist) {
+                data.artist = minimaxData.artist;
+            }
+        }
+
+        // 偵測真正的音頻長度（失敗不影響載入）
+        if (data.audioUrl) {
+            jobQueue.stage('probe', '偵測音頻長度', 80);
+            try {
+                const { duration, bitrate, sampleRate } = await audioProbe.probe(data.audioUrl);
+                data.duration = duration;
+                data.audioInfo = { duration, bitrate, sampleRate };
+            } catch (error) {
+                // 保留 Ragic 原本的長度（沒有時產生 JSON 會改用頁面提供的長度或預設值）
+                console.error('⚠️ 音頻長度偵測失敗:', error.message);
+                data.audioInfo = { error: error.message };
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * 依模式產生 JSON
+     * @param {string} mode - 'mv' 或 'audio'
+     * @param {object} data - fetchData() 回傳的資料
+     * @param {object} options - 額外內容（lyricsTimeline、imageTimeline、transcriptTimeline、duration、seed 等）
+     * @returns {object} - 最終 JSON
+     */
+    build(mode, data, options = {}) {
+        if (mode === 'mv') return this.buildMV(data, options);
+        if (mode === 'audio') return this.buildAudio(data, options);
+        throw new Error(`不支援的模式: ${mode}`);
+    }
+
+    /**
+     * 產生 MV 模式 JSON
+     */
+    buildMV(data, options = {}) {
+        const titleStyles = configManager.getTitleStyles(data.region);
+        const title = data.songTitle || '';
+        const artist = data.artist || data.name || '';
+
+        return {
+            ...this.buildBase('mv', data, options, { title, artist }),
+            titleDisplay: {
+                title,
+                artist,
+                persistent: false,
+                position: titleStyles.positionMV || 'center',
+                fadeOutAfter: titleStyles.fadeOutDuration || 12
+            },
+            visualConfig: this.buildVisualConfig(data),
+            imageTimeline: options.imageTimeline || imageTimeline.generate({
+                images: data.images,
+                duration: this.getDuration(data, options),
+                seed: options.seed !== undefined ? options.seed : (data.ragicCode || ''),
+                region: data.region
+            }),
+            lyricsTimeline: options.lyricsTimeline || []
+        };
+    }
+
+    /**
+     * 產生語音模式 JSON
+     */
+    buildAudio(data, options = {}) {
+        const titleStyles = configManager.getTitleStyles(data.region);
+        const title = data.title || '';
+        const artist = data.speaker || data.name || '';
+
+        return {
+            ...this.buildBase('audio', data, options, { title, artist }),
+            titleDisplay: {
+                title,
+                artist,
+                persistent: false,
+                position: titleStyles.positionAudio || 'top',
+                fadeOutAfter: titleStyles.fadeOutDuration || 12
+            },
+            coverImage: data.coverImage || '',
+            transcriptTimeline: options.transcriptTimeline || []
+        };
+    }
+
+    /**
+     * 兩種模式共用的區塊
+     */
+    buildBase(mode, data, options, { title, artist }) {
+        const shareCode = options.shareCode || this.generateShareCode();
+        const endingVariant = this.selectEndingVariant(data, options.seed !== undefined ? options.seed : (data.ragicCode || shareCode));
+
+        return {
+            version: JSON_VERSION,
+            mode,
+            meta: {
+                version: JSON_VERSION,
+                title,
+                artist,
+                duration: this.getDuration(data, options),
+                shareCode,
+                ragicCode: data.ragicCode || '',
+                profile: configManager.getCurrentProfileId(),  // 產生時套用的設定檔
+                region: data.region || '',
+                endingVariant: endingVariant ? endingVariant.id : '',  // 使用的結尾版本（A/B 比較用）
+                generatedAt: new Date().toISOString()
+            },
+            audio: {
+                url: data.audioUrl || '',
+                format: 'mp3',
+                preload: 'metadata'
+            },
+            customEnding: this.buildCustomEnding(data, endingVariant),
+            subtitleStyles: { ...configManager.getSubtitleStyles(data.region) },
+            titleStyles: { ...configManager.getTitleStyles(data.region) }
+        };
+    }
+
+    getDuration(data, options = {}) {
+        return options.duration || data.duration || FALLBACK_DURATION;
+    }
+
+    /**
+     * 產生 JSON 時要提醒使用者的問題（音頻長度偵測失敗、改用預設長度）
+     * @returns {string[]}
+     */
+    getWarnings(data, options = {}) {
+        const warnings = [];
+        if (data.audioInfo && data.audioInfo.error) {
+            warnings.push(`音頻長度偵測失敗: ${data.audioInfo.error}`);
+        }
+        if (!options.duration && !data.duration) {
+            warnings.push(`沒有音頻長度，使用預設的 ${FALLBACK_DURATION} 秒`);
+        }
+        return warnings;
+    }
+
+    /**
+     * MV 背景與星空設定（套用地區覆蓋）
+     */
+    buildVisualConfig(data) {
+        let colorInfo = null;
+        if (data.bgColors) {
+            colorInfo = { colors: data.bgColors, direction: data.bgDirection };
+        } else if (data.gender && data.mbti) {
+            colorInfo = configManager.getColorsForMBTI(data.gender, data.mbti, data.region);
+        }
+
+        const visualParams = data.visualParams || configManager.getVisualParamsForMBTI(data.mbti, data.region);
+        const background = configManager.getBackgroundSettings(data.region);
+
+        // 規則表指定的漸層方向優先於顏色組
+        const ruleDirection = (visualParams.ruleOutputs || []).includes('gradientDirection')
+            ? visualParams.gradientDirection
+            : null;
+
+        return {
+            enableStarryBg: background.starryBg !== false,
+            starryBgOnAllSlides: true,
+            stars: {
+                count: visualParams.starCount ?? 60,
+                color: visualParams.particleColor || '#ffffff'
+            },
+            shootingStars: {
+                enabled: true,
+                count: visualParams.shootingCount ?? 3
+            },
+            animationSpeed: visualParams.animationSpeed || 1,
+            bgGradient: colorInfo?.colors || background.defaultColors,
+            bgDirection: ruleDirection || colorInfo?.direction || visualParams.gradientDirection || 'to-bottom-right'
+        };
+    }
+
+    /**
+     * 選出結尾版本（依 MBTI / 性別，見 ending-variants.js），結尾關閉時回傳 null
+     * @param {object} data - Ragic 資料
+     * @param {string|number} seed - 同一個種子一定選到同一個版本
+     */
+    selectEndingVariant(data, seed) {
+        const ending = configManager.getCustomEnding(data.region);
+        if (!ending.enabled) return null;
+        return endingVariants.select(ending, data, seed);
+    }
+
+    /**
+     * 專屬結尾區塊（已替換變數）
+     * @param {object} data - Ragic 資料
+     * @param {object} variant - selectEndingVariant() 的結果，沒給時依 data 重新選
+     */
+    buildCustomEnding(data, variant = this.selectEndingVariant(data, data.ragicCode)) {
+        const ending = configManager.getCustomEnding(data.region);
+        if (!ending.enabled || !variant) {
+            return { enabled: false };
+        }
+
+        return {
+            enabled: true,
+            text: this.renderEndingText(variant.template, data),
+            fontSize: ending.fontSize || 28,
+            fontSizeMobile: ending.fontSizeMobile || 20,
+            duration: ending.duration || 8,
+            fadeInDuration: ending.fadeInDuration || 1.5,
+            fadeOutDuration: ending.fadeOutDuration || 2,
+            position: 'center'  // 上下左右置中
+        };
+    }
+
+    /**
+     * 產生結尾文字（變數、預設值、條件、多行，見 ending-template.js）
+     */
+    renderEndingText(template, data) {
+        return endingTemplate.render(template, data);
+    }
+
+    generateShareCode() {
+        return Math.random().toString(36).substring(2, 8).toUpperCase();
+    }
+}
+
+module.exports = new JsonBuilder();
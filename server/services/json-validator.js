@@ -0,0 +1,113 @@
+/**
+ * JSON 驗證器
+ * 上傳前用 JSON Schema 檢查 MV / 語音模式的 JSON，避免壞掉的資料送到 WordPress 播放器
+ */
+
+const path = require('path');
+const Ajv = require('ajv');
+
+const SCHEMA_DIR = path.join(__dirname, '../schemas');
+
+// 每個主版本對應一組 schema 檔
+const SCHEMA_VERSIONS = {
+    '2': ['common', 'mv', 'audio']
+};
+
+class JsonValidator {
+    constructor() {
+        this.ajv = new Ajv({ allErrors: true, strict: false });
+        this.validators = {};
+
+        for (const [major, names] of Object.entries(SCHEMA_VERSIONS)) {
+            for (const name of names) {
+                this.ajv.addSchema(require(path.join(SCHEMA_DIR, `v${major}`, `${name}.schema.json`)));
+            }
+        }
+    }
+
+    /**
+     * 取得對應版本與模式的驗證函數
+     * @param {string} mode - 'mv' 或 'audio'
+     * @param {string} version - JSON 的 version 欄位，例如 '2.0.0'
+     * @returns {Function|null}
+     */
+    getValidator(mode, version) {
+        const major = String(version || '').split('.')[0];
+        if (!SCHEMA_VERSIONS[major] || !['mv', 'audio'].includes(mode)) {
+            return null;
+        }
+
+        const key = `${major}/${mode}`;
+        if (!this.validators[key]) {
+            const schema = require(path.join(SCHEMA_DIR, `v${major}`, `${mode}.schema.json`));
+            this.validators[key] = this.ajv.getSchema(schema.$id);
+        }
+        return this.validators[key];
+    }
+
+    /**
+     * 驗證 JSON
+     * @param {object} jsonData - 要驗證的 JSON
+     * @param {string} mode - 預期的模式，未提供時使用 jsonData.mode
+     * @returns {{ valid: boolean, errors: Array<{ path: string, message: string }> }}
+     */
+    validate(jsonData, mode) {
+        if (!jsonData || typeof jsonData !== 'object' || Array.isArray(jsonData)) {
+            return { valid: false, errors: [{ path: '/', message: 'JSON 必須是物件' }] };
+        }
+
+        const targetMode = mode || jsonData.mode;
+        if (mode && jsonData.mode && jsonData.mode !== mode) {
+            return {
+                valid: false,
+                errors: [{ path: '/mode', message: `模式不符：預期 ${mode}，實際 ${jsonData.mode}` }]
+            };
+        }
+
+        const validator = this.getValidator(targetMode, jsonData.version);
+        if (!validator) {
+            return {
+                valid: false,
+                errors: [{
+                    path: '/version',
+                    message: `不支援的模式或版本: ${targetMode} / ${jsonData.version}`
+                }]
+            };
+        }
+
+        const valid = validator(jsonData);
+        return {
+            valid,
+            errors: valid ? [] : this.formatErrors(validator.errors)
+        };
+    }
+
+    /**
+     * 把 Ajv 錯誤轉成 { path, message }
+     */
+    formatErrors(errors = []) {
+        const seen = new Set();
+        const result = [];
+
+        for (const error of errors) {
+            // if/then 的外層錯誤沒有額外資訊
+            if (error.keyword === 'if') continue;
+
+            let errorPath = error.instancePath || '/';
+            if (error.keyword === 'required') {
+                errorPath = `${error.instancePath}/${error.params.missingProperty}`;
+            }
+
+            const message = error.keyword === 'required' ? '必填欄位缺少' : error.message;
+            const key = `${errorPath}|${message}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+
+            result.push({ path: errorPath, message });
+        }
+
+        return result;
+    }
+}
+
+module.exports = new JsonValidator();
@@ -0,0 +1,403 @@
+/**
+ * 歌詞對齊器（離線、只用 CPU）
+ * 1. 用 ffmpeg 把音頻解碼成 8kHz 單聲道 PCM（先濾出人聲頻段）
+ * 2. 依能量找出有人聲 / 靜音的區段
+ * 3. 用動態規劃把每行歌詞放到人聲區段上：行的長度依字數比例分配，換行點盡量落在靜音處
+ * 4. 產生 lyricsTimeline，每行附上 confidence（0~1），可選逐字時間
+ */
+
+const { spawn } = require('child_process');
+const upstream = require('./upstream');
+const configManager = require('./config-manager');
+const lyricsParser = require('./lyrics-parser');
+
+const SAMPLE_RATE = 8000;
+const FRAME_SECONDS = 0.02;
+// 小於這個長度的靜音不算換行點
+const MIN_GAP_SECONDS = 0.25;
+// 小於這個長度的人聲區段視為雜訊
+const MIN_REGION_SECONDS = 0.2;
+// 換行點不在靜音處的成本
+const NON_GAP_PENALTY = 0.6;
+const DECODE_TIMEOUT = 5 * 60 * 1000;
+// 中日韓字元（假名、漢字、諺文）一字一個單位，其他文字一個單字一個單位
+const CJK = '\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af';
+const CJK_PATTERN = new RegExp(`^[${CJK}]$`);
+const UNIT_PATTERN = new RegExp(`[${CJK}]|(?:(?![${CJK}])[\\p{L}\\p{N}])(?:(?![${CJK}])[\\p{L}\\p{N}'])*`, 'gu');
+// 英文單字平均比一個中文字長
+const LATIN_WORD_WEIGHT = 1.5;
+
+class LyricsAligner {
+    /**
+     * 產生歌詞時間軸：歌詞本身有時間標記（LRC / SRT / VTT）時直接解析，否則和音頻對齊
+     * MV 頁面（/api/align）和批次都走這裡
+     * @param {string} audioUrl - 音頻 URL
+     * @param {string} lyrics - 歌詞
+     * @param {object} options - { characters: 是否輸出逐字時間, duration: 音頻長度（解析時補最後一行的結束時間） }
+     * @returns {Promise<{ lyricsTimeline, format, duration }>} - format 為 'aligned' 或解析出的格式
+     */
+    async buildTimeline(audioUrl, lyrics, options = {}) {
+        if (this.hasTimestamps(lyrics)) {
+            const { format, lyricsTimeline } = lyricsParser.parse(lyrics, { duration: options.duration || undefined });
+            return { lyricsTimeline, format, duration: options.duration || null };
+        }
+
+        const aligned = await this.align(audioUrl, lyrics, options);
+        return { ...aligned, format: 'aligned' };
+    }
+
+    hasTimestamps(lyrics) {
+        try {
+            lyricsParser.detectFormat(String(lyrics || ''));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 對齊歌詞
+     * @param {string} audioUrl - 音頻 URL
+     * @param {string} lyrics - 歌詞（一行一句）
+     * @param {object} options - { characters: 是否輸出逐字時間 }
+     * @returns {Promise<{ lyricsTimeline, regions, duration }>}
+     */
+    async align(audioUrl, lyrics, options = {}) {
+        console.log('\n🎯 開始歌詞對齊...');
+
+        const lines = this.splitLyrics(lyrics);
+        if (lines.length === 0) {
+            throw new Error('沒有可以對齊的歌詞');
+        }
+
+        const samples = await this.decode(audioUrl);
+        const duration = samples.length / SAMPLE_RATE;
+        const energies = this.computeEnergies(samples);
+        const regions = this.detectVocalRegions(energies);
+
+        console.log(`  - 長度: ${duration.toFixed(1)}s，人聲區段: ${regions.length} 個，歌詞: ${lines.length} 行`);
+
+        const lyricsTimeline = this.alignLines(lines, regions, options);
+        const average = lyricsTimeline.reduce((sum, l) => sum + l.confidence, 0) / lyricsTimeline.length;
+        console.log(`✅ 歌詞對齊完成，平均信心值 ${average.toFixed(2)}`);
+
+        return {
+            lyricsTimeline,
+            regions: regions.map(r => ({ start: this.round(r.start), end: this.round(r.end) })),
+            duration: this.round(duration)
+        };
+    }
+
+    /**
+     * 拆行，去掉空行與 [Verse]、【副歌】之類的段落標記
+     */
+    splitLyrics(lyrics) {
+        return String(lyrics || '')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !/^(\[[^\]]*\]|【[^】]*】|\([^)]*\)|（[^）]*）)$/.test(line));
+    }
+
+    /**
+     * 解碼音頻成 Int16 PCM（音頻下載後送進 ffmpeg）
+     */
+    async decode(audioUrl) {
+        const ffmpegPath = configManager.getTranscriptionSettings().ffmpegPath || 'ffmpeg';
+        const response = await upstream.fetch(audioUrl, { target: 'download' });
+        if (!response.ok) {
+            throw new Error(`下載音頻失敗: HTTP ${response.status}`);
+        }
+
+        return new Promise((resolve, reject) => {
+            const child = spawn(ffmpegPath, [
+                '-hide_banner', '-loglevel', 'error',
+                '-i', 'pipe:0',
+                '-ac', '1',
+                '-ar', String(SAMPLE_RATE),
+                // 人聲頻段
+                '-af', 'highpass=f=200,lowpass=f=3500',
+                '-f', 's16le',
+                'pipe:1'
+            ]);
+
+            const chunks = [];
+            let stderr = '';
+
+            const timer = setTimeout(() => {
+                child.kill('SIGKILL');
+                reject(new Error('音頻解碼逾時'));
+            }, DECODE_TIMEOUT);
+
+            child.stdout.on('data', chunk => chunks.push(chunk));
+            child.stderr.on('data', chunk => { stderr += chunk.toString(); });
+            child.stdin.on('error', () => {});  // ffmpeg 提早結束時忽略 EPIPE
+
+            child.on('error', error => {
+                clearTimeout(timer);
+                reject(new Error(`無法執行 ffmpeg: ${error.message}`));
+            });
+
+            child.on('close', code => {
+                clearTimeout(timer);
+                if (code !== 0) {
+                    return reject(new Error(`ffmpeg 解碼失敗: ${stderr.trim().split('\n').pop()}`));
+                }
+                const buffer = Buffer.concat(chunks);
+                resolve(new Int16Array(buffer.buffer, buffer.byteOffset, Math.floor(buffer.length / 2)));
+            });
+
+            response.body.on('error', error => {
+                child.kill();
+                reject(error);
+            });
+            response.body.pipe(child.stdin);
+        });
+    }
+
+    /**
+     * 每個 frame 的能量（dB）
+     */
+    computeEnergies(samples) {
+        const frameSize = Math.round(SAMPLE_RATE * FRAME_SECONDS);
+        const count = Math.floor(samples.length / frameSize);
+        const energies = new Float64Array(count);
+
+        for (let f = 0; f < count; f++) {
+            let sum = 0;
+            const offset = f * frameSize;
+            for (let i = 0; i < frameSize; i++) {
+                const v = samples[offset + i] / 32768;
+                sum += v * v;
+            }
+            energies[f] = 10 * Math.log10(sum / frameSize + 1e-10);
+        }
+
+        return energies;
+    }
+
+    /**
+     * 依能量門檻找出人聲區段
+     * 門檻 = 底噪 + (高峰 - 底噪) × 0.35，再平滑、合併短靜音、去掉過短區段
+     */
+    detectVocalRegions(energies) {
+        if (energies.length === 0) return [];
+
+        const sorted = Array.from(energies).sort((a, b) => a - b);
+        const floor = sorted[Math.floor(sorted.length * 0.1)];
+        const peak = sorted[Math.floor(sorted.length * 0.95)];
+        const threshold = floor + (peak - floor) * 0.35;
+
+        // 移動平均（約 0.1 秒）
+        const smoothed = new Float64Array(energies.length);
+        const radius = 2;
+        for (let i = 0; i < energies.length; i++) {
+            let sum = 0;
+            let n = 0;
+            for (let j = Math.max(0, i - radius); j <= Math.min(energies.length - 1, i + radius); j++) {
+                sum += energies[j];
+                n++;
+            }
+            smoothed[i] = sum / n;
+        }
+
+        const regions = [];
+        let current = null;
+        for (let i = 0; i < smoothed.length; i++) {
+            const voiced = smoothed[i] >= threshold;
+            if (voiced && !current) {
+                current = { start: i * FRAME_SECONDS, end: (i + 1) * FRAME_SECONDS };
+            } else if (voiced) {
+                current.end = (i + 1) * FRAME_SECONDS;
+            } else if (current) {
+                regions.push(current);
+                current = null;
+            }
+        }
+        if (current) regions.push(current);
+
+        // 合併太短的靜音
+        const merged = [];
+        for (const region of regions) {
+            const last = merged[merged.length - 1];
+            if (last && region.start - last.end < MIN_GAP_SECONDS) {
+                last.end = region.end;
+            } else {
+                merged.push({ ...region });
+            }
+        }
+
+        return merged.filter(r => r.end - r.start >= MIN_REGION_SECONDS);
+    }
+
+    /**
+     * 把歌詞行放到人聲區段上
+     */
+    alignLines(lines, regions, options = {}) {
+        if (regions.length === 0) {
+            throw new Error('偵測不到人聲區段');
+        }
+
+        // 人聲時間軸：把所有人聲區段接起來
+        const cumulative = [];
+        let total = 0;
+        for (const region of regions) {
+            cumulative.push({ region, from: total, to: total + (region.end - region.start) });
+            total += region.end - region.start;
+        }
+
+        const weights = lines.map(line => this.lineWeight(line));
+        const totalWeight = weights.reduce((a, b) => a + b, 0);
+        const expected = weights.map(w => total * w / totalWeight);
+
+        // 候選換行點：每個靜音位置 + 依字數比例的位置
+        const candidates = [];
+        cumulative.slice(0, -1).forEach(c => candidates.push({ pos: c.to, gap: true }));
+        let acc = 0;
+        for (let i = 0; i < lines.length - 1; i++) {
+            acc += expected[i];
+            candidates.push({ pos: acc, gap: false });
+        }
+        candidates.sort((a, b) => a.pos - b.pos);
+        const points = [{ pos: 0, gap: true }, ...candidates, { pos: total, gap: true }];
+
+        const boundaries = this.solveBoundaries(lines.length, points, expected);
+
+        return lines.map((text, i) => {
+            const from = points[boundaries[i]];
+            const to = points[boundaries[i + 1]];
+            const start = this.toRealTime(cumulative, from.pos, 'start');
+            const end = this.toRealTime(cumulative, to.pos, 'end');
+            const length = to.pos - from.pos;
+
+            const lengthScore = Math.exp(-Math.pow((length - expected[i]) / expected[i], 2) * 2);
+            const gapScore = ((from.gap ? 1 : 0.5) + (to.gap ? 1 : 0.5)) / 2;
+
+            const entry = {
+                start: this.round(start),
+                end: this.round(Math.max(end, start)),
+                text,
+                confidence: this.round(lengthScore * gapScore, 2)
+            };
+
+            if (options.characters) {
+                entry.words = this.alignCharacters(text, cumulative, from.pos, to.pos);
+            }
+
+            return entry;
+        });
+    }
+
+    /**
+     * 動態規劃：選出 lines.length + 1 個遞增的點（頭尾固定），使總成本最小
+     * @returns {number[]} - points 的索引
+     */
+    solveBoundaries(lineCount, points, expected) {
+        const last = points.length - 1;
+        const cost = new Array(lineCount).fill(null).map(() => new Float64Array(points.length).fill(Infinity));
+        const prev = new Array(lineCount).fill(null).map(() => new Int32Array(points.length).fill(-1));
+
+        const segmentCost = (i, a, b) => {
+            const length = points[b].pos - points[a].pos;
+            if (length <= 0) return Infinity;
+            const ratio = (length - expected[i]) / expected[i];
+            const penalty = (b === last || points[b].gap) ? 0 : NON_GAP_PENALTY;
+            return ratio * ratio + penalty;
+        };
+
+        for (let j = 1; j <= last; j++) {
+            cost[0][j] = segmentCost(0, 0, j);
+            prev[0][j] = 0;
+        }
+
+        for (let i = 1; i < lineCount; i++) {
+            for (let j = i + 1; j <= last; j++) {
+                let best = Infinity;
+                let bestK = -1;
+                for (let k = i; k < j; k++) {
+                    if (cost[i - 1][k] === Infinity) continue;
+                    const c = cost[i - 1][k] + segmentCost(i, k, j);
+                    if (c < best) {
+                        best = c;
+                        bestK = k;
+                    }
+                }
+                cost[i][j] = best;
+                prev[i][j] = bestK;
+            }
+        }
+
+        if (cost[lineCount - 1][last] === Infinity) {
+            throw new Error('歌詞行數比可用的人聲時間還多，無法對齊');
+        }
+
+        const result = [last];
+        let j = last;
+        for (let i = lineCount - 1; i >= 0; i--) {
+            j = prev[i][j];
+            result.unshift(j);
+        }
+        return result;
+    }
+
+    /**
+     * 逐字時間：和 lineWeight() 用同樣的單位，依權重在人聲時間軸上分配
+     * 中日韓一字一筆、英文一個單字一筆，空白與標點附在前一筆後面
+     */
+    alignCharacters(text, cumulative, fromPos, toPos) {
+        const units = this.splitUnits(text);
+        const totalWeight = units.reduce((sum, unit) => sum + unit.weight, 0) || 1;
+        const scale = (toPos - fromPos) / totalWeight;
+        let pos = fromPos;
+
+        return units.map((unit, i) => {
+            const next = i + 1 < units.length ? units[i + 1].index : text.length;
+            const step = unit.weight * scale;
+            const word = {
+                start: this.round(this.toRealTime(cumulative, pos, 'start')),
+                end: this.round(this.toRealTime(cumulative, pos + step, 'end')),
+                text: text.slice(unit.index, next)
+            };
+            pos += step;
+            return word;
+        });
+    }
+
+    /**
+     * 人聲時間軸位置 → 實際秒數
+     * 剛好落在兩個區段交界時，'start' 取下一段開頭、'end' 取上一段結尾
+     */
+    toRealTime(cumulative, pos, edge) {
+        for (let i = 0; i < cumulative.length; i++) {
+            const c = cumulative[i];
+            const atBoundary = Math.abs(pos - c.to) < 1e-9;
+            if (pos < c.to || (atBoundary && (edge === 'end' || i === cumulative.length - 1))) {
+                return c.region.start + (pos - c.from);
+            }
+        }
+        const lastRegion = cumulative[cumulative.length - 1].region;
+        return lastRegion.end;
+    }
+
+    // 英文單字算一個單位，中日韓字元一字一個單位
+    lineWeight(line) {
+        return Math.max(1, this.splitUnits(line).reduce((sum, unit) => sum + unit.weight, 0));
+    }
+
+    /**
+     * 切出計時單位（空白與標點不算）
+     * @returns {Array<{ index, weight }>} - index 為在原字串的位置
+     */
+    splitUnits(line) {
+        return Array.from(line.matchAll(UNIT_PATTERN), match => ({
+            index: match.index,
+            weight: CJK_PATTERN.test(match[0]) ? 1 : LATIN_WORD_WEIGHT
+        }));
+    }
+
+    round(value, digits = 3) {
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    }
+}
+
+module.exports = new LyricsAligner();
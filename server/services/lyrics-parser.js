@@ -0,0 +1,308 @@
+/**
+ * 時間軸歌詞解析器
+ * 把 LRC / SRT / VTT 轉成播放器使用的 lyricsTimeline
+ * 每一筆: { start, end, text, words? }，words 為逐字時間（用於字幕已唱/未唱顏色）
+ */
+
+// 最後一行沒有下一行可以推算結束時間時，預設顯示的秒數
+const DEFAULT_LAST_LINE_SECONDS = 5;
+
+class LyricsParser {
+    /**
+     * 解析時間軸歌詞
+     * @param {string} content - 檔案內容
+     * @param {object} options - { format: 'lrc'|'srt'|'vtt'（省略則自動判斷）, duration: 歌曲長度（秒） }
+     * @returns {{ format: string, meta: object, lyricsTimeline: Array }}
+     */
+    parse(content, options = {}) {
+        if (!content || typeof content !== 'string') {
+            throw new Error('歌詞內容是空的');
+        }
+
+        // 去掉 BOM，統一換行
+        const text = content.replace(/^﻿/, '').replace(/\r\n?/g, '\n');
+        const format = (options.format || this.detectFormat(text)).toLowerCase();
+
+        let parsed;
+        if (format === 'lrc') {
+            parsed = this.parseLRC(text);
+        } else if (format === 'srt') {
+            parsed = this.parseSRT(text);
+        } else if (format === 'vtt') {
+            parsed = this.parseVTT(text);
+        } else {
+            throw new Error(`不支援的歌詞格式: ${format}`);
+        }
+
+        const lyricsTimeline = this.finalize(parsed.lines, options.duration);
+        if (lyricsTimeline.length === 0) {
+            throw new Error('沒有解析到任何有時間的歌詞');
+        }
+
+        console.log(`✅ 歌詞解析完成 (${format.toUpperCase()}): ${lyricsTimeline.length} 行`);
+
+        return { format, meta: parsed.meta, lyricsTimeline };
+    }
+
+    /**
+     * 自動判斷格式
+     */
+    detectFormat(text) {
+        const trimmed = text.trimStart();
+        if (/^WEBVTT/.test(trimmed)) return 'vtt';
+        if (/\d{1,2}:\d{2}:\d{2}[,.]\d{1,3}\s*-->/.test(text)) return 'srt';
+        if (/^\s*\[\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?\]/m.test(text)) return 'lrc';
+        throw new Error('無法判斷歌詞格式，請指定 lrc / srt / vtt');
+    }
+
+    // ========================================
+    // LRC
+    // ========================================
+    parseLRC(text) {
+        const meta = {};
+        const lines = [];
+        let offset = 0;
+
+        const tagPattern = /^\[([a-zA-Z#]+):([^\]]*)\]\s*$/;
+        const timePattern = /^\[(\d{1,3}):(\d{1,2}(?:[.:]\d{1,3})?)\]/;
+
+        for (const rawLine of text.split('\n')) {
+            const line = rawLine.trim();
+            if (!line) continue;
+
+            // 標籤：[ti:], [ar:], [al:], [offset:] 等
+            const tagMatch = line.match(tagPattern);
+            if (tagMatch) {
+                const key = tagMatch[1].toLowerCase();
+                const value = tagMatch[2].trim();
+                if (key === 'offset') {
+                    offset = parseInt(value, 10) || 0;
+                } else {
+                    meta[key] = value;
+                }
+                continue;
+            }
+
+            // 一行可以有多個時間標記：[00:12.00][00:45.00]歌詞
+            const starts = [];
+            let rest = line;
+            let match;
+            while ((match = timePattern.exec(rest))) {
+                starts.push(this.toSeconds(match[1], match[2]));
+                rest = rest.slice(match[0].length);
+            }
+            if (starts.length === 0) continue;
+
+            const { text: lineText, words } = this.parseInlineWords(
+                rest,
+                /<(\d{1,3}):(\d{1,2}(?:[.:]\d{1,3})?)>/g,
+                starts[0]
+            );
+
+            for (const start of starts) {
+                lines.push({
+                    start,
+                    text: lineText,
+                    // 同一行重複出現時，逐字時間要跟著平移
+                    words: words ? words.map(w => ({ ...w, start: w.start - starts[0] + start })) : null
+                });
+            }
+        }
+
+        // [offset:+500] 表示歌詞提早 0.5 秒出現
+        if (offset) {
+            meta.offset = offset;
+            const shift = offset / 1000;
+            for (const line of lines) {
+                line.start = Math.max(0, line.start - shift);
+                if (line.words) {
+                    line.words.forEach(w => { w.start = Math.max(0, w.start - shift); });
+                }
+            }
+        }
+
+        return { meta, lines };
+    }
+
+    // ========================================
+    // SRT
+    // ========================================
+    parseSRT(text) {
+        const lines = [];
+        const timing = /(\d{1,2}):(\d{2}):(\d{2})[,.](\d{1,3})\s*-->\s*(\d{1,2}):(\d{2}):(\d{2})[,.](\d{1,3})/;
+
+        for (const block of text.split(/\n\s*\n/)) {
+            const blockLines = block.split('\n').map(l => l.trim()).filter(l => l);
+            const timeIndex = blockLines.findIndex(l => timing.test(l));
+            if (timeIndex === -1) continue;
+
+            const m = blockLines[timeIndex].match(timing);
+            const start = this.hmsToSeconds(m[1], m[2], m[3], m[4]);
+            const end = this.hmsToSeconds(m[5], m[6], m[7], m[8]);
+            const cueText = this.stripTags(blockLines.slice(timeIndex + 1).join('\n')).trim();
+
+            if (cueText) {
+                lines.push({ start, end, text: cueText, words: null });
+            }
+        }
+
+        return { meta: {}, lines };
+    }
+
+    // ========================================
+    // WebVTT
+    // ========================================
+    parseVTT(text) {
+        const lines = [];
+        const timing = /((?:\d{1,2}:)?\d{2}:\d{2}\.\d{1,3})\s*-->\s*((?:\d{1,2}:)?\d{2}:\d{2}\.\d{1,3})/;
+
+        for (const block of text.split(/\n\s*\n/)) {
+            const blockLines = block.split('\n').map(l => l.trim()).filter(l => l);
+            if (blockLines.length === 0) continue;
+
+            // 跳過標頭與 NOTE / STYLE / REGION 區塊
+            if (/^(WEBVTT|NOTE|STYLE|REGION)\b/.test(blockLines[0])) continue;
+
+            const timeIndex = blockLines.findIndex(l => timing.test(l));
+            if (timeIndex === -1) continue;
+
+            const m = blockLines[timeIndex].match(timing);
+            const start = this.timestampToSeconds(m[1]);
+            const end = this.timestampToSeconds(m[2]);
+            const rawText = blockLines.slice(timeIndex + 1).join('\n');
+
+            // 逐字時間：<00:00:01.500>字
+            const { text: cueText, words } = this.parseInlineWords(
+                rawText,
+                /<((?:\d{1,2}:)?\d{2}:\d{2}\.\d{1,3})>/g,
+                start
+            );
+
+            if (cueText) {
+                lines.push({ start, end, text: cueText, words });
+            }
+        }
+
+        return { meta: {}, lines };
+    }
+
+    // ========================================
+    // 共用工具
+    // ========================================
+
+    /**
+     * 解析行內逐字時間標記
+     * @param {string} raw - 行內容
+     * @param {RegExp} pattern - 時間標記的正規式（global）
+     * @param {number} lineStart - 第一段文字沒有標記時使用的開始時間
+     * @returns {{ text: string, words: Array|null }}
+     */
+    parseInlineWords(raw, pattern, lineStart = null) {
+        const parts = [];
+        let lastIndex = 0;
+        let currentStart = lineStart;
+        let match;
+
+        pattern.lastIndex = 0;
+        while ((match = pattern.exec(raw))) {
+            const segment = raw.slice(lastIndex, match.index);
+            if (segment && currentStart !== null) {
+                parts.push({ start: currentStart, text: segment });
+            } else if (segment) {
+                parts.push({ start: null, text: segment });
+            }
+            currentStart = match.length > 2 ? this.toSeconds(match[1], match[2]) : this.timestampToSeconds(match[1]);
+            lastIndex = match.index + match[0].length;
+        }
+
+        const tail = raw.slice(lastIndex);
+        if (tail) {
+            parts.push({ start: currentStart, text: tail });
+        }
+
+        const hasTimestamps = lastIndex > 0;
+        const text = this.stripTags(parts.map(p => p.text).join('')).trim();
+
+        if (!hasTimestamps) {
+            return { text, words: null };
+        }
+
+        const words = parts
+            .map(p => ({ start: p.start, text: this.stripTags(p.text) }))
+            .filter(w => w.text.trim() && w.start !== null);
+
+        return { text, words: words.length > 0 ? words : null };
+    }
+
+    /**
+     * 排序並補上結束時間
+     * 空白行（LRC 的 [00:04.00] 結束標記）當作上一行的結束時間，之後再拿掉
+     */
+    finalize(lines, duration) {
+        const sorted = [...lines].sort((a, b) => a.start - b.start);
+        const hasText = line => Boolean(line.text && line.text.trim());
+
+        return sorted.map((line, i) => {
+            if (!hasText(line)) return null;
+
+            const next = sorted[i + 1];
+            let end = line.end;
+            if (end === undefined || end === null) {
+                end = next ? next.start : (duration && duration > line.start ? duration : line.start + DEFAULT_LAST_LINE_SECONDS);
+            }
+
+            const entry = {
+                start: this.round(line.start),
+                end: this.round(Math.max(end, line.start)),
+                text: line.text.trim()
+            };
+
+            if (line.words) {
+                entry.words = line.words.map((word, j) => {
+                    const nextWord = line.words[j + 1];
+                    return {
+                        start: this.round(word.start),
+                        end: this.round(nextWord ? nextWord.start : entry.end),
+                        text: word.text
+                    };
+                });
+            }
+
+            return entry;
+        }).filter(Boolean);
+    }
+
+    // mm:ss.xx / mm:ss:xx / mm:ss
+    toSeconds(minutes, seconds) {
+        const normalized = seconds.replace(':', '.');
+        return parseInt(minutes, 10) * 60 + parseFloat(normalized);
+    }
+
+    hmsToSeconds(h, m, s, ms) {
+        return parseInt(h, 10) * 3600 + parseInt(m, 10) * 60 + parseInt(s, 10) + parseInt(ms.padEnd(3, '0'), 10) / 1000;
+    }
+
+    // hh:mm:ss.ttt 或 mm:ss.ttt
+    timestampToSeconds(stamp) {
+        const parts = stamp.split(':').map(Number);
+        return parts.length === 3
+            ? parts[0] * 3600 + parts[1] * 60 + parts[2]
+            : parts[0] * 60 + parts[1];
+    }
+
+    stripTags(text) {
+        return text
+            .replace(/<[^>]+>/g, '')
+            .replace(/\{\\[^}]*\}/g, '')  // SRT 的 {\an8} 之類
+            .replace(/&amp;/g, '&')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&nbsp;/g, ' ');
+    }
+
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+module.exports = new LyricsParser();
@@ -0,0 +1,107 @@
+/**
+ * MBTI 顏色組覆蓋檢查
+ * 列出每個性別 16 種類型實際會套用哪一組顏色，找出沒指定（缺漏）與重複指定的類型
+ * 解析規則和 configManager.getColorsForMBTI() 相同：
+ * - 重複指定時用排在前面的組
+ * - 沒指定時退回第一組；一組都沒有時用背景設定的預設顏色
+ */
+
+const ALL_MBTI = [
+    'INTJ', 'INTP', 'ENTJ', 'ENTP',
+    'INFJ', 'INFP', 'ENFJ', 'ENFP',
+    'ISTJ', 'ISFJ', 'ESTJ', 'ESFJ',
+    'ISTP', 'ISFP', 'ESTP', 'ESFP'
+];
+
+const GENDERS = ['male', 'female'];
+
+const GENDER_LABELS = {
+    male: '男性',
+    female: '女性'
+};
+
+class MBTICoverageError extends Error {
+    /**
+     * @param {object} coverage - analyze() 的結果
+     */
+    constructor(coverage) {
+        const gaps = GENDERS
+            .filter(gender => coverage.genders[gender].missing.length > 0)
+            .map(gender => `${GENDER_LABELS[gender]}: ${coverage.genders[gender].missing.join('、')}`);
+        super(`有 MBTI 類型沒有指定顏色組（${gaps.join('；')}）`);
+        this.name = 'MBTICoverageError';
+        this.coverage = coverage;
+    }
+}
+
+class MBTICoverage {
+    /**
+     * 分析顏色組
+     * @param {object} colorGroups - { male: [...], female: [...] }
+     * @returns {{ complete: boolean, hasDuplicates: boolean, genders: { male, female } }}
+     *   每個性別: { resolution: [{ mbti, status, group, candidates, fallback }], missing, duplicates }
+     */
+    analyze(colorGroups) {
+        const genders = {};
+        for (const gender of GENDERS) {
+            const groups = colorGroups && Array.isArray(colorGroups[gender]) ? colorGroups[gender] : [];
+            genders[gender] = this.analyzeGender(groups);
+        }
+
+        return {
+            complete: GENDERS.every(gender => genders[gender].missing.length === 0),
+            hasDuplicates: GENDERS.some(gender => genders[gender].duplicates.length > 0),
+            genders
+        };
+    }
+
+    analyzeGender(groups) {
+        const resolution = ALL_MBTI.map(mbti => {
+            const candidates = groups.filter(group => Array.isArray(group.assignedMBTI) && group.assignedMBTI.includes(mbti));
+
+            if (candidates.length === 0) {
+                return {
+                    mbti,
+                    status: 'missing',
+                    // 沒指定時 getColorsForMBTI() 會退回第一組
+                    group: groups[0] ? this.describe(groups[0]) : null,
+                    candidates: [],
+                    fallback: true
+                };
+            }
+
+            return {
+                mbti,
+                status: candidates.length > 1 ? 'duplicate' : 'ok',
+                group: this.describe(candidates[0]),
+                candidates: candidates.map(group => group.id),
+                fallback: false
+            };
+        });
+
+        return {
+            resolution,
+            missing: resolution.filter(r => r.status === 'missing').map(r => r.mbti),
+            duplicates: resolution
+                .filter(r => r.status === 'duplicate')
+                .map(r => ({ mbti: r.mbti, groups: r.candidates }))
+        };
+    }
+
+    /**
+     * 有缺漏就丟出 MBTICoverageError
+     */
+    assertComplete(colorGroups) {
+        const coverage = this.analyze(colorGroups);
+        if (!coverage.complete) throw new MBTICoverageError(coverage);
+        return coverage;
+    }
+
+    describe(group) {
+        return { id: group.id, name: group.name, colors: group.colors, direction: group.direction };
+    }
+}
+
+module.exports = new MBTICoverage();
+module.exports.MBTICoverageError = MBTICoverageError;
+module.exports.ALL_MBTI = ALL_MBTI;
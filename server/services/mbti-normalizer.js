@@ -0,0 +1,59 @@
+/**
+ * MBTI 正規化
+ * Ragic 的 MBTI 欄位格式不一：INFP-T、infp、 ENFJ-A 、ＩＮＦＰ、INFP（調停者）
+ * 統一轉成 { type: 'INFP', identity: 'T', letters: { EI, SN, TF, JP } }
+ * 顏色組、視覺參數、結尾模板都透過這裡判斷 MBTI
+ */
+
+// 四個字母 + 可選的身分後綴（-A 堅定型 / -T 動盪型），前後不能緊接其他英文字母
+const MBTI_PATTERN = /(?:^|[^A-Z])([EI])([SN])([TF])([JP])(?:\s*[-_/]\s*([AT]))?(?![A-Z])/;
+
+const IDENTITY_LABELS = {
+    A: '堅定型',
+    T: '動盪型'
+};
+
+class MBTINormalizer {
+    /**
+     * 解析 MBTI
+     * @param {string} value - 原始值
+     * @returns {{ type: string, identity: string|null, letters: object, code: string, raw: string }|null}
+     *   - type: 四個字母，例如 'INFP'
+     *   - identity: 'A'、'T' 或 null
+     *   - code: 含身分的寫法，例如 'INFP-T'
+     *   無法辨識時回傳 null
+     */
+    normalize(value) {
+        if (value === null || value === undefined) return null;
+
+        // 全形轉半形（ＩＮＦＰ－Ｔ → INFP-T）、統一大寫
+        const text = String(value).normalize('NFKC').toUpperCase();
+        const match = text.match(MBTI_PATTERN);
+        if (!match) return null;
+
+        const [, EI, SN, TF, JP, identity = null] = match;
+        const type = `${EI}${SN}${TF}${JP}`;
+
+        return {
+            type,
+            identity,
+            letters: { EI, SN, TF, JP },
+            code: identity ? `${type}-${identity}` : type,
+            raw: String(value)
+        };
+    }
+
+    /**
+     * 只取四個字母，無法辨識時回傳 null
+     */
+    toType(value) {
+        const result = this.normalize(value);
+        return result ? result.type : null;
+    }
+
+    getIdentityLabel(identity) {
+        return IDENTITY_LABELS[identity] || '';
+    }
+}
+
+module.exports = new MBTINormalizer();
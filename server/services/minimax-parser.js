@@ -3,7 +3,9 @@
  * 解析 Minimax 網頁取得真正的音頻 URL、歌詞、標題等
  */
 
-const fetch = require('node-fetch');
+const upstream = require('./upstream');
+const dataCache = require('./data-cache');
+const jobQueue = require('./job-queue');
 
 class MinimaxParser {
     constructor() {
@@ -24,14 +26,22 @@ class MinimaxParser {
     /**
      * 解析 Minimax 網頁
      * @param {string} url - Minimax 網頁 URL
+     * @param {object} options - { refresh: true 表示不使用快取 }
      * @returns {Promise<object>} - { audioUrl, lyrics, songTitle, artist }
      */
-    async parse(url) {
+    async parse(url, options = {}) {
+        const cached = options.refresh ? null : dataCache.get('minimax', url);
+        if (cached) {
+            console.log(`\n💾 使用快取的 Minimax 解析結果，快取時間 ${cached.storedAt}`);
+            return cached.value;
+        }
+
         console.log('\n🎵 開始解析 Minimax 連結...');
         console.log(`  - URL: ${url}`);
 
         try {
             // 透過 N8N Webhook 取得網頁原始碼
+            jobQueue.stage('minimax', '取得 Minimax 網頁', 30);
             const html = await this.fetchWebSource(url);
             
             if (!html) {
@@ -39,6 +49,7 @@ class MinimaxParser {
             }
 
             // 解析 HTML 取得資料
+            jobQueue.stage('parse', '解析網頁內容', 60);
             const data = this.parseHtml(html);
             
             console.log('✅ Minimax 解析完成:');
@@ -47,6 +58,10 @@ class MinimaxParser {
             console.log(`  - 標題: ${data.songTitle || '無'}`);
             console.log(`  - 演唱者: ${data.artist || '無'}`);
 
+            // 解析失敗（沒有音頻 URL）不快取，下次再試
+            if (data.audioUrl) {
+                dataCache.set('minimax', url, data);
+            }
             return data;
 
         } catch (error) {
@@ -67,8 +82,11 @@ class MinimaxParser {
     async fetchWebSource(url) {
         console.log('  - 正在取得網頁原始碼...');
         
-        const response = await fetch(this.htmlFetchUrl, {
+        // 只是讀取網頁，POST 也可以重送
+        const response = await upstream.fetch(this.htmlFetchUrl, {
             method: 'POST',
+            target: 'minimax',
+            idempotent: true,
             headers: {
                 'Content-Type': 'application/json'
             },
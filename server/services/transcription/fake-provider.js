@@ -0,0 +1,49 @@
+/**
+ * 假的語音識別 Provider（測試與本機開發用）
+ * 不讀取音頻，依提供的文字平均切成時間段
+ */
+
+const DEFAULT_TEXT = '這是一段測試用的逐字稿\n用來確認流程是否正常\n實際內容請改用 whisper.cpp';
+
+class FakeProvider {
+    constructor() {
+        this.name = 'fake';
+        // 不需要下載音頻
+        this.requiresAudio = false;
+    }
+
+    async isAvailable() {
+        return true;
+    }
+
+    /**
+     * @param {string} audioPath - 音頻檔路徑（不會讀取）
+     * @param {object} options - { text, duration, onProgress }
+     */
+    async transcribe(audioPath, options = {}) {
+        const lines = (options.text || DEFAULT_TEXT)
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line);
+
+        const duration = options.duration || lines.length * 4;
+        const step = duration / Math.max(lines.length, 1);
+
+        const segments = lines.map((text, i) => ({
+            start: Math.round(i * step * 1000) / 1000,
+            end: Math.round((i + 1) * step * 1000) / 1000,
+            text
+        }));
+
+        if (options.onProgress) options.onProgress(100);
+
+        return {
+            provider: this.name,
+            language: options.language && options.language !== 'auto' ? options.language : 'zh',
+            text: lines.join('\n'),
+            segments
+        };
+    }
+}
+
+module.exports = FakeProvider;
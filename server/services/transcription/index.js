@@ -0,0 +1,162 @@
+/**
+ * 語音識別服務
+ * 管理識別 Provider，識別工作（job）放在工作佇列執行
+ *
+ * Provider 介面：
+ *   name: string
+ *   requiresAudio?: boolean（false 表示不需要下載音頻）
+ *   isAvailable(): Promise<boolean>
+ *   transcribe(audioPath, { language, duration, text, onProgress }): Promise<{ provider, language, text, segments }>
+ *   segments: [{ start, end, text }]（秒）
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const upstream = require('../upstream');
+const configManager = require('../config-manager');
+const jobQueue = require('../job-queue');
+const WhisperCppProvider = require('./whisper-cpp-provider');
+const FakeProvider = require('./fake-provider');
+
+class TranscriptionService {
+    constructor() {
+        this.providers = {
+            'whisper-cpp': settings => new WhisperCppProvider(settings),
+            'fake': () => new FakeProvider()
+        };
+    }
+
+    /**
+     * 註冊新的 Provider
+     * @param {string} name - Provider 名稱
+     * @param {Function} factory - (settings) => provider
+     */
+    registerProvider(name, factory) {
+        this.providers[name] = factory;
+    }
+
+    /**
+     * 取得 Provider（環境變數 TRANSCRIPTION_PROVIDER 優先於設定）
+     */
+    getProvider(name) {
+        const settings = configManager.getTranscriptionSettings();
+        const providerName = name || process.env.TRANSCRIPTION_PROVIDER || settings.provider;
+        const factory = this.providers[providerName];
+        if (!factory) {
+            throw new Error(`未知的語音識別 Provider: ${providerName}`);
+        }
+        return factory(settings);
+    }
+
+    async listProviders() {
+        const result = [];
+        for (const name of Object.keys(this.providers)) {
+            const provider = this.getProvider(name);
+            result.push({ name, available: await provider.isAvailable() });
+        }
+        return result;
+    }
+
+    /**
+     * 建立識別工作（交給工作佇列在背景執行）
+     * @param {object} params - { audioUrl, mode, language, provider, text, duration }
+     * @returns {object} - 工作資料
+     */
+    createJob(params) {
+        if (!params.audioUrl) {
+            throw new Error('缺少 audioUrl');
+        }
+        return jobQueue.add('transcribe', { ...params, mode: params.mode || 'audio' });
+    }
+
+    getJob(id) {
+        const job = jobQueue.get(id);
+        return job && job.type === 'transcribe' ? job : null;
+    }
+
+    /**
+     * 直接執行識別（不經過工作佇列）
+     */
+    async transcribeUrl(audioUrl, options = {}) {
+        const provider = this.getProvider(options.provider);
+        const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'soultalk-stt-'));
+
+        try {
+            let audioPath = null;
+            if (provider.requiresAudio !== false) {
+                jobQueue.stage('download', '下載音頻');
+                audioPath = await this.downloadAudio(audioUrl, workDir);
+            }
+            jobQueue.stage('transcribe', `語音識別（${provider.name}）`);
+            console.log(`\n🎤 開始語音識別 (${provider.name})...`);
+            const result = await provider.transcribe(audioPath, options);
+            console.log(`✅ 語音識別完成: ${result.segments.length} 段`);
+            return result;
+        } finally {
+            fs.rmSync(workDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * 工作佇列的 handler：識別並依模式整理結果
+     */
+    async runJob(params, { progress }) {
+        progress(5);
+        const result = await this.transcribeUrl(params.audioUrl, {
+            provider: params.provider,
+            language: params.language,
+            duration: params.duration,
+            text: params.text,
+            onProgress: progress
+        });
+        return this.formatResult(params.mode, result);
+    }
+
+    /**
+     * 依模式整理結果
+     * - audio：transcriptTimeline 直接寫進 JSON
+     * - mv：transcription 為原始識別結果，給歌詞匹配使用
+     */
+    formatResult(mode, result) {
+        const output = {
+            provider: result.provider,
+            language: result.language,
+            text: result.text,
+            segments: result.segments
+        };
+
+        if (mode === 'audio') {
+            output.transcriptTimeline = result.segments.map(({ start, end, text }) => ({ start, end, text }));
+        } else {
+            output.transcription = { text: result.text, segments: result.segments };
+        }
+
+        return output;
+    }
+
+    /**
+     * 下載音頻到暫存資料夾
+     */
+    async downloadAudio(audioUrl, workDir) {
+        const response = await upstream.fetch(audioUrl, { target: 'download' });
+        if (!response.ok) {
+            throw new Error(`下載音頻失敗: HTTP ${response.status}`);
+        }
+
+        const ext = path.extname(new URL(audioUrl).pathname) || '.mp3';
+        const audioPath = path.join(workDir, `input${ext}`);
+
+        await new Promise((resolve, reject) => {
+            const file = fs.createWriteStream(audioPath);
+            response.body.pipe(file);
+            response.body.on('error', reject);
+            file.on('finish', resolve);
+            file.on('error', reject);
+        });
+
+        return audioPath;
+    }
+}
+
+module.exports = new TranscriptionService();
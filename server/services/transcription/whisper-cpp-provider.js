@@ -0,0 +1,138 @@
+/**
+ * whisper.cpp 語音識別 Provider
+ * 呼叫本機安裝的 whisper.cpp CLI（whisper-cli），先用 ffmpeg 轉成 16kHz 單聲道 WAV
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+class WhisperCppProvider {
+    /**
+     * @param {object} settings - configManager 的 transcription 設定
+     */
+    constructor(settings) {
+        this.name = 'whisper-cpp';
+        this.settings = settings;
+    }
+
+    get whisper() {
+        return this.settings.whisperCpp || {};
+    }
+
+    async isAvailable() {
+        if (!this.whisper.modelPath || !fs.existsSync(this.whisper.modelPath)) {
+            return false;
+        }
+        try {
+            await this.run(this.whisper.binaryPath || 'whisper-cli', ['--help'], { timeoutMs: 10000 });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * @param {string} audioPath - 音頻檔路徑
+     * @param {object} options - { language, onProgress }
+     * @returns {Promise<{ provider, language, text, segments }>}
+     */
+    async transcribe(audioPath, options = {}) {
+        if (!this.whisper.modelPath) {
+            throw new Error('尚未設定 whisper.cpp 模型路徑 (transcription.whisperCpp.modelPath)');
+        }
+
+        const workDir = path.dirname(audioPath);
+        const wavPath = path.join(workDir, 'input-16k.wav');
+        const outputPrefix = path.join(workDir, 'whisper-output');
+        const timeoutMs = (this.whisper.timeoutSeconds || 900) * 1000;
+
+        // 1. 轉成 whisper.cpp 需要的格式
+        await this.run(this.settings.ffmpegPath || 'ffmpeg', [
+            '-y', '-i', audioPath,
+            '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le',
+            wavPath
+        ], { timeoutMs });
+
+        // 2. 執行識別，輸出 JSON
+        const language = options.language || this.settings.language || 'auto';
+        await this.run(this.whisper.binaryPath || 'whisper-cli', [
+            '-m', this.whisper.modelPath,
+            '-f', wavPath,
+            '-l', language,
+            '-t', String(this.whisper.threads || 4),
+            '-oj',
+            '-of', outputPrefix,
+            '-pp'
+        ], {
+            timeoutMs,
+            // whisper.cpp 用 -pp 會在 stderr 輸出 "progress = 42%"
+            onOutput: text => {
+                const match = text.match(/progress\s*=\s*(\d+)%/);
+                if (match && options.onProgress) options.onProgress(parseInt(match[1], 10));
+            }
+        });
+
+        const output = JSON.parse(fs.readFileSync(`${outputPrefix}.json`, 'utf8'));
+        return this.parseOutput(output);
+    }
+
+    /**
+     * 把 whisper.cpp 的 JSON 輸出轉成統一格式
+     */
+    parseOutput(output) {
+        const segments = (output.transcription || [])
+            .map(item => ({
+                start: (item.offsets?.from || 0) / 1000,
+                end: (item.offsets?.to || 0) / 1000,
+                text: (item.text || '').trim()
+            }))
+            .filter(segment => segment.text);
+
+        return {
+            provider: this.name,
+            language: output.result?.language || null,
+            text: segments.map(s => s.text).join('\n'),
+            segments
+        };
+    }
+
+    /**
+     * 執行外部指令
+     */
+    run(command, args, { timeoutMs, onOutput } = {}) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, args);
+            let stderr = '';
+
+            const timer = timeoutMs ? setTimeout(() => {
+                child.kill('SIGKILL');
+                reject(new Error(`${path.basename(command)} 執行逾時`));
+            }, timeoutMs) : null;
+
+            const handleOutput = chunk => {
+                const text = chunk.toString();
+                stderr = (stderr + text).slice(-4000);
+                if (onOutput) onOutput(text);
+            };
+            child.stdout.on('data', handleOutput);
+            child.stderr.on('data', handleOutput);
+
+            child.on('error', error => {
+                clearTimeout(timer);
+                reject(new Error(`無法執行 ${command}: ${error.message}`));
+            });
+
+            child.on('close', code => {
+                clearTimeout(timer);
+                if (code === 0) {
+                    resolve();
+                } else {
+                    reject(new Error(`${path.basename(command)} 結束代碼 ${code}: ${stderr.trim().split('\n').pop()}`));
+                }
+            });
+        });
+    }
+}
+
+module.exports = WhisperCppProvider;
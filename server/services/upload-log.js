@@ -0,0 +1,176 @@
+/**
+ * 上傳紀錄
+ * 每次上傳 JSON 到 Ragic（成功或失敗）都留一份：代碼、模式、JSON、大小、結果與來源，
+ * 可以查某個代碼的上傳歷史、比對任兩個版本、把舊版本重新上傳
+ *
+ * 紀錄存在 data/uploads/<id>.json（UPLOADS_PATH 可改位置），超過保留數量會刪除最舊的
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ConfigHistory = require('./config-history');
+const configManager = require('./config-manager');
+const jobQueue = require('./job-queue');
+
+const DEFAULT_LIMIT = 1000;
+
+class UploadLog {
+    constructor() {
+        this.uploadsPath = process.env.UPLOADS_PATH || path.join(__dirname, '../../data/uploads');
+        this.limit = parseInt(process.env.UPLOAD_LOG_LIMIT, 10) || DEFAULT_LIMIT;
+        // 所有紀錄的摘要（舊的在前），第一次使用時從檔案讀取
+        this.index = null;
+    }
+
+    /**
+     * 新增一筆紀錄
+     * @param {object} upload - { queryCode, mvCode, audioCode, mode, jsonData, client, reuploadOf }
+     * @param {object} outcome - { result } 或 { error }
+     * @returns {object} - 紀錄摘要
+     */
+    add(upload, outcome = {}) {
+        const content = JSON.stringify(upload.jsonData);
+        const job = jobQueue.current();
+        const now = new Date();
+
+        const entry = {
+            id: this.createId(now),
+            code: upload.queryCode,
+            mode: upload.mode,
+            mvCode: upload.mvCode || '',
+            audioCode: upload.audioCode || '',
+            status: outcome.error ? 'failed' : 'success',
+            size: Buffer.byteLength(content || ''),
+            hash: crypto.createHash('sha1').update(content || '').digest('hex').substring(0, 12),
+            previousId: null,
+            changeCount: null,
+            result: outcome.result || null,
+            error: outcome.error || null,
+            client: upload.client || {},
+            profile: configManager.getCurrentProfileId(),
+            jobId: job ? job.id : null,
+            source: job ? job.type : 'direct',
+            reuploadOf: upload.reuploadOf || null,
+            createdAt: now.toISOString(),
+            jsonData: upload.jsonData
+        };
+
+        // 和同一個代碼、模式上一次成功上傳的版本比較
+        const previous = this.findPrevious(entry);
+        if (previous) {
+            entry.previousId = previous.id;
+            entry.changeCount = previous.hash === entry.hash
+                ? 0
+                : ConfigHistory.diff(this.get(previous.id).jsonData, entry.jsonData).length;
+        }
+
+        fs.mkdirSync(this.uploadsPath, { recursive: true });
+        fs.writeFileSync(this.filePath(entry.id), JSON.stringify(entry, null, 2), 'utf8');
+
+        const summary = this.summary(entry);
+        this.getIndex().push(summary);
+        this.prune();
+        return summary;
+    }
+
+    /**
+     * 列出紀錄（新的在前），不含 JSON 內容
+     * @param {object} filter - { code, mode, status, limit }
+     */
+    list(filter = {}) {
+        const limit = parseInt(filter.limit, 10) || 100;
+        return this.getIndex()
+            .filter(entry => !filter.code || entry.code === filter.code)
+            .filter(entry => !filter.mode || entry.mode === filter.mode)
+            .filter(entry => !filter.status || entry.status === filter.status)
+            .slice()
+            .reverse()
+            .slice(0, limit);
+    }
+
+    /**
+     * 取得完整紀錄（含 JSON）
+     */
+    get(id) {
+        if (!/^[\w-]+$/.test(id)) return null;
+        const file = this.filePath(id);
+        if (!fs.existsSync(file)) return null;
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    /**
+     * 比對兩個版本：從 againstId 到 id 的變化
+     * 沒有指定 againstId 時和同一個代碼、模式上一次成功上傳的版本比較
+     * @returns {{ id, against, changes }|null} - 找不到紀錄時為 null；沒有可比較的版本時 against 為 null
+     */
+    diff(id, againstId) {
+        const entry = this.get(id);
+        if (!entry) return null;
+
+        const against = againstId ? this.get(againstId) : (entry.previousId ? this.get(entry.previousId) : null);
+        if (againstId && !against) return null;
+
+        return {
+            id,
+            against: against ? this.summary(against) : null,
+            changes: against ? ConfigHistory.diff(against.jsonData, entry.jsonData) : []
+        };
+    }
+
+    findPrevious(entry) {
+        const index = this.getIndex();
+        for (let i = index.length - 1; i >= 0; i--) {
+            const item = index[i];
+            if (item.code === entry.code && item.mode === entry.mode && item.status === 'success') {
+                return item;
+            }
+        }
+        return null;
+    }
+
+    getIndex() {
+        if (this.index) return this.index;
+
+        this.index = [];
+        if (fs.existsSync(this.uploadsPath)) {
+            for (const file of fs.readdirSync(this.uploadsPath).filter(name => name.endsWith('.json')).sort()) {
+                try {
+                    this.index.push(this.summary(JSON.parse(fs.readFileSync(path.join(this.uploadsPath, file), 'utf8'))));
+                } catch (error) {
+                    console.error(`讀取上傳紀錄失敗 (${file}):`, error.message);
+                }
+            }
+        }
+        return this.index;
+    }
+
+    /**
+     * 刪除超過保留數量的舊紀錄
+     */
+    prune() {
+        const index = this.getIndex();
+        while (index.length > this.limit) {
+            const oldest = index.shift();
+            fs.rmSync(this.filePath(oldest.id), { force: true });
+        }
+    }
+
+    summary(entry) {
+        const { jsonData, ...summary } = entry;
+        return summary;
+    }
+
+    // 和設定快照相同：20261018T141500123Z-a1b2，可依字串排序
+    createId(date) {
+        const stamp = date.toISOString().replace(/[-:.]/g, '');
+        const suffix = Math.random().toString(36).substring(2, 6);
+        return `${stamp}-${suffix}`;
+    }
+
+    filePath(id) {
+        return path.join(this.uploadsPath, `${id}.json`);
+    }
+}
+
+module.exports = new UploadLog();
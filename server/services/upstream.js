@@ -0,0 +1,371 @@
+/**
+ * 外部服務呼叫（逾時、重試、斷路器、錄製 / 重播）
+ * 所有對外的 HTTP 請求（N8N Webhook、Ragic、Minimax、Telegram、音頻檔）都經過 upstream.fetch()
+ *
+ * 連線保護（設定 upstream.targets、upstream.circuitBreaker）：
+ * - 逾時：依呼叫端的 target（ragic / minimax / notification / audio / download）決定秒數
+ * - 重試：5xx 與網路錯誤時以指數退避重送；只有 GET / HEAD 或標明 idempotent 的請求會重送
+ *   （上傳這類寫入不在這裡重送，由工作佇列重試，避免兩層重試把同一份資料送好幾次）
+ * - 斷路器：同一個主機連續失敗達門檻後，在 resetSeconds 內直接失敗（UpstreamUnavailableError），
+ *   時間到先放行一個請求試試看，成功才恢復
+ *
+ * 依模式決定怎麼處理：
+ * - live：直接連線（預設）
+ * - record：直接連線，並把請求與回應存成 fixture
+ * - replay：不連網路，從 fixture 回傳錄好的回應；沒有錄過的請求會失敗
+ *
+ * 模式由環境變數 UPSTREAM_MODE 優先，其次是設定 upstream.mode。
+ * fixture 預設存在 data/fixtures/<主機>/<方法>-<URL 雜湊>-<內容雜湊>.json，可以一起提交到 git 給團隊使用。
+ * 同一個方法 + URL + 內容（或 Range）才算同一個請求。
+ * 上傳的 JSON、通知訊息帶有時間，每次內容都不同，呼叫時可以傳 fixtureKey 取代內容來比對
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+const fetch = require('node-fetch');
+const { Response, Headers } = fetch;
+const configManager = require('./config-manager');
+
+const MODES = ['live', 'record', 'replay'];
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, '../../data/fixtures');
+
+// 沒有指定 target 或設定裡沒有的 target
+const DEFAULT_POLICY = { timeoutMs: 15000, retries: 0 };
+
+// 指數退避：500ms、1s、2s…，最多 5 秒
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 5000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class UpstreamUnavailableError extends Error {
+    /**
+     * @param {string} host - 失敗的主機
+     * @param {number} retryAfter - 幾秒後再試
+     */
+    constructor(host, retryAfter) {
+        super(`外部服務暫時無法使用（${host} 連續失敗），約 ${retryAfter} 秒後再試`);
+        this.name = 'UpstreamUnavailableError';
+        this.host = host;
+        this.retryAfter = retryAfter;
+    }
+}
+
+// 這些 content-type 用文字存，方便閱讀與比對；其他（音頻等）用 base64
+const TEXT_TYPES = /json|text|xml|html|javascript|urlencoded/;
+
+class Upstream {
+    constructor() {
+        // 斷路器狀態：host → { failures, openUntil, probing }
+        this.breakers = new Map();
+    }
+
+    /**
+     * 目前的模式與 fixture 路徑
+     * @returns {{ mode: string, fixturesPath: string, source: 'env'|'config' }}
+     */
+    getSettings() {
+        const settings = configManager.getUpstreamSettings();
+        const envMode = process.env.UPSTREAM_MODE;
+        return {
+            mode: envMode || settings.mode,
+            fixturesPath: process.env.UPSTREAM_FIXTURES_PATH || settings.fixturesPath || DEFAULT_FIXTURES_PATH,
+            source: envMode ? 'env' : 'config'
+        };
+    }
+
+    /**
+     * 和 node-fetch 相同的介面
+     * @param {string} url
+     * @param {object} options - method、headers、body 等，另外可以帶：
+     *   target: 'ragic' | 'minimax' | 'notification' | 'audio' | 'download'（決定逾時與重試次數）
+     *   idempotent: true 表示 POST 也可以重送（只用在不會改變資料的請求）
+     *   fixtureKey: 錄製 / 重播時取代內容來比對
+     * @returns {Promise<Response>}
+     */
+    async fetch(url, options = {}) {
+        const { fixtureKey, target, idempotent, ...fetchOptions } = options;
+        const { mode, fixturesPath } = this.getSettings();
+        if (!MODES.includes(mode)) {
+            throw new Error(`未知的 upstream 模式: ${mode}`);
+        }
+
+        if (mode === 'replay') {
+            return this.replay(fixturesPath, url, options);
+        }
+
+        const response = await this.send(url, fetchOptions, { target, idempotent });
+        if (mode === 'live') {
+            return response;
+        }
+        return this.record(fixturesPath, url, options, response);
+    }
+
+    /**
+     * 實際連線：逾時、重試、斷路器
+     * 最後一次仍是 5xx 時回傳該回應（由呼叫端處理），網路錯誤與逾時則丟出錯誤
+     */
+    async send(url, fetchOptions, { target, idempotent }) {
+        const policy = this.getPolicy(target);
+        const host = this.getHost(url);
+        const method = this.getMethod(fetchOptions);
+        this.checkBreaker(host);
+
+        const canRetry = ['GET', 'HEAD'].includes(method) || Boolean(idempotent);
+        const retries = canRetry ? policy.retries : 0;
+
+        let lastError = null;
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (attempt > 0) {
+                const delay = Math.min(RETRY_BASE_DELAY * 2 ** (attempt - 1), RETRY_MAX_DELAY);
+                console.log(`🔁 ${method} ${this.maskUrl(url)} 第 ${attempt} 次重試（${delay}ms 後）: ${lastError.message}`);
+                await sleep(delay);
+            }
+
+            try {
+                const response = await fetch(url, {
+                    ...fetchOptions,
+                    timeout: fetchOptions.timeout || policy.timeoutMs
+                });
+                if (response.status < 500) {
+                    this.recordSuccess(host);
+                    return response;
+                }
+
+                lastError = new Error(`HTTP ${response.status}`);
+                if (attempt === retries) {
+                    this.recordFailure(host);
+                    return response;
+                }
+                // 丟掉內容釋放連線，準備重送
+                response.body.resume();
+            } catch (error) {
+                lastError = this.describeError(error, method, url, policy);
+                if (attempt === retries) {
+                    this.recordFailure(host);
+                    throw lastError;
+                }
+            }
+        }
+    }
+
+    getPolicy(target) {
+        const { targets = {} } = configManager.getUpstreamSettings();
+        return { ...DEFAULT_POLICY, ...(targets[target] || {}) };
+    }
+
+    describeError(error, method, url, policy) {
+        if (error.type === 'request-timeout' || error.type === 'body-timeout') {
+            return new Error(`外部服務逾時（${policy.timeoutMs / 1000} 秒沒有回應）: ${method} ${this.maskUrl(url)}`);
+        }
+        return error;
+    }
+
+    // ========================================
+    // 斷路器
+    // ========================================
+
+    /**
+     * 斷路中直接丟出 UpstreamUnavailableError；時間到時放行一個請求（其他請求仍直接失敗）
+     */
+    checkBreaker(host) {
+        const breaker = this.breakers.get(host);
+        if (!breaker || !breaker.openUntil) return;
+
+        const remaining = breaker.openUntil - Date.now();
+        if (remaining > 0 || breaker.probing) {
+            throw new UpstreamUnavailableError(host, Math.max(1, Math.ceil(remaining / 1000)));
+        }
+        breaker.probing = true;
+    }
+
+    recordSuccess(host) {
+        if (this.breakers.has(host)) {
+            const breaker = this.breakers.get(host);
+            if (breaker.openUntil) console.log(`✅ ${host} 已恢復連線`);
+            this.breakers.delete(host);
+        }
+    }
+
+    recordFailure(host) {
+        const { circuitBreaker = {} } = configManager.getUpstreamSettings();
+        const threshold = circuitBreaker.failureThreshold || 0;
+        if (threshold <= 0) return;
+
+        const breaker = this.breakers.get(host) || { failures: 0, openUntil: null, probing: false };
+        breaker.failures++;
+        breaker.lastFailureAt = new Date().toISOString();
+
+        if (breaker.probing || breaker.failures >= threshold) {
+            breaker.openUntil = Date.now() + (circuitBreaker.resetSeconds || 30) * 1000;
+            breaker.probing = false;
+            console.error(`⛔ ${host} 連續失敗 ${breaker.failures} 次，${circuitBreaker.resetSeconds || 30} 秒內直接回報錯誤`);
+        }
+        this.breakers.set(host, breaker);
+    }
+
+    /**
+     * 各主機的斷路器狀態（只列出有失敗紀錄的）
+     * @returns {Array<{ host, state: 'closed'|'open'|'half-open', failures, lastFailureAt, retryAfter }>}
+     */
+    getBreakerStatus() {
+        return [...this.breakers.entries()].map(([host, breaker]) => {
+            const remaining = breaker.openUntil ? breaker.openUntil - Date.now() : 0;
+            const state = !breaker.openUntil ? 'closed' : (remaining > 0 ? 'open' : 'half-open');
+            return {
+                host,
+                state,
+                failures: breaker.failures,
+                lastFailureAt: breaker.lastFailureAt,
+                retryAfter: remaining > 0 ? Math.ceil(remaining / 1000) : 0
+            };
+        });
+    }
+
+    resetBreakers() {
+        this.breakers.clear();
+    }
+
+    // ========================================
+    // 錄製 / 重播
+    // ========================================
+
+    async record(fixturesPath, url, options, response) {
+        const buffer = await response.buffer();
+        const contentType = response.headers.get('content-type') || '';
+        const isText = TEXT_TYPES.test(contentType);
+
+        const fixture = {
+            recordedAt: new Date().toISOString(),
+            request: {
+                method: this.getMethod(options),
+                url: this.maskUrl(url),
+                headers: this.pickHeaders(options.headers),
+                fixtureKey: options.fixtureKey,
+                body: typeof options.body === 'string' ? options.body : null
+            },
+            response: {
+                status: response.status,
+                statusText: response.statusText,
+                headers: this.pickResponseHeaders(response.headers),
+                encoding: isText ? 'utf8' : 'base64',
+                body: buffer.toString(isText ? 'utf8' : 'base64')
+            }
+        };
+
+        const file = this.getFixtureFile(fixturesPath, url, options);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+        console.log(`📼 已錄製: ${fixture.request.method} ${fixture.request.url} → ${path.relative(fixturesPath, file)}`);
+
+        return this.toResponse(fixture.response, buffer);
+    }
+
+    replay(fixturesPath, url, options) {
+        const file = this.getFixtureFile(fixturesPath, url, options);
+        if (!fs.existsSync(file)) {
+            throw new Error(`重播模式找不到錄製資料: ${this.getMethod(options)} ${this.maskUrl(url)}`);
+        }
+
+        const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+        console.log(`📼 重播: ${fixture.request.method} ${fixture.request.url} ← ${path.relative(fixturesPath, file)}`);
+        const { body, encoding } = fixture.response;
+        return this.toResponse(fixture.response, Buffer.from(body || '', encoding || 'utf8'));
+    }
+
+    getFixtureFile(fixturesPath, url, options) {
+        const body = typeof options.body === 'string' ? options.body : '';
+        const key = options.fixtureKey !== undefined ? `key:${options.fixtureKey}` : `${this.getRange(options)}|${body}`;
+        const name = `${this.getMethod(options)}-${this.hash(url)}-${this.hash(key)}.json`;
+        return path.join(fixturesPath, this.getHost(url).replace(/[^a-zA-Z0-9.-]/g, '_'), name);
+    }
+
+    /**
+     * 列出所有錄製資料
+     * @returns {Array<{ file, method, url, status, recordedAt }>}
+     */
+    listFixtures() {
+        const { fixturesPath } = this.getSettings();
+        if (!fs.existsSync(fixturesPath)) return [];
+
+        const result = [];
+        for (const host of fs.readdirSync(fixturesPath)) {
+            const dir = path.join(fixturesPath, host);
+            if (!fs.statSync(dir).isDirectory()) continue;
+
+            for (const name of fs.readdirSync(dir).filter(n => n.endsWith('.json'))) {
+                try {
+                    const fixture = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+                    result.push({
+                        file: `${host}/${name}`,
+                        method: fixture.request.method,
+                        url: fixture.request.url,
+                        status: fixture.response.status,
+                        recordedAt: fixture.recordedAt
+                    });
+                } catch (error) {
+                    console.error(`讀取錄製資料失敗 (${host}/${name}):`, error.message);
+                }
+            }
+        }
+        return result.sort((a, b) => String(b.recordedAt).localeCompare(String(a.recordedAt)));
+    }
+
+    // body 用串流回傳，和真的連線一樣可以邊讀邊中斷（audio-probe 會這樣讀）
+    toResponse({ status, statusText, headers }, buffer) {
+        const stream = new PassThrough();
+        stream.end(buffer);
+        return new Response(stream, { status, statusText, headers: new Headers(headers || {}) });
+    }
+
+    // node-fetch 已經解壓縮過，壓縮相關的標頭不能留
+    pickResponseHeaders(headers) {
+        const result = {};
+        for (const [key, value] of headers.entries()) {
+            if (['content-encoding', 'transfer-encoding', 'set-cookie'].includes(key)) continue;
+            result[key] = value;
+        }
+        return result;
+    }
+
+    getMethod(options) {
+        return (options.method || 'GET').toUpperCase();
+    }
+
+    // 音頻檔用 Range 分段讀取，不同範圍要分開存
+    getRange(options) {
+        return this.pickHeaders(options.headers).range || '';
+    }
+
+    pickHeaders(headers) {
+        const result = {};
+        for (const [key, value] of Object.entries(headers || {})) {
+            if (key.toLowerCase() === 'authorization') continue;
+            result[key.toLowerCase()] = value;
+        }
+        return result;
+    }
+
+    getHost(url) {
+        try {
+            return new URL(url).host;
+        } catch (error) {
+            return 'unknown';
+        }
+    }
+
+    // 存檔的 URL 不留 Telegram Bot Token
+    maskUrl(url) {
+        return String(url).replace(/\/bot[^/]+\//, '/bot***/');
+    }
+
+    hash(text) {
+        return crypto.createHash('sha1').update(String(text)).digest('hex').slice(0, 10);
+    }
+}
+
+module.exports = new Upstream();
+module.exports.MODES = MODES;
+module.exports.UpstreamUnavailableError = UpstreamUnavailableError;
@@ -0,0 +1,138 @@
+/**
+ * MBTI 視覺規則引擎
+ * 依 mbtiVisualParams 計算每種 MBTI 的視覺效果（星星、流星、漸層方向、動畫速度、粒子顏色）
+ *
+ * 套用順序（後面的覆蓋前面的）：
+ * 1. 預設值
+ * 2. 三個基本對應：E/I → 漸層方向、T/F → 星星數量、P/J → 流星數量
+ * 3. 規則表 rules：條件越具體越優先（字母數 + 身分），一樣具體時排在前面的優先
+ *
+ * 規則條件寫法：'N'、'NF'、'ST'、'INFP'，可加身分 '-A' / '-T'，例如 'NF-T'、'-A'
+ */
+
+const mbtiNormalizer = require('./mbti-normalizer');
+const { ALL_MBTI } = require('./mbti-coverage');
+
+const DEFAULT_OUTPUTS = {
+    starCount: 60,
+    shootingCount: 3,
+    gradientDirection: 'to-bottom-right',
+    animationSpeed: 1,
+    particleColor: '#ffffff'
+};
+
+const OUTPUT_KEYS = Object.keys(DEFAULT_OUTPUTS);
+
+// 每個字母屬於哪個維度
+const DIMENSIONS = {
+    E: 'EI', I: 'EI',
+    S: 'SN', N: 'SN',
+    T: 'TF', F: 'TF',
+    J: 'JP', P: 'JP'
+};
+
+class VisualRules {
+    /**
+     * 計算視覺參數
+     * @param {string} mbti - 任意寫法的 MBTI（會先正規化）
+     * @param {object} params - mbtiVisualParams 設定
+     * @returns {object} - { starCount, shootingCount, gradientDirection, animationSpeed, particleColor, identity,
+     *   appliedRules: 套用到的規則條件, ruleOutputs: 由規則表決定的輸出欄位 }
+     */
+    resolve(mbti, params = {}) {
+        const info = mbtiNormalizer.normalize(mbti);
+        const result = { ...DEFAULT_OUTPUTS, identity: info ? info.identity : null, appliedRules: [], ruleOutputs: [] };
+
+        if (!params.enabled || !info) {
+            return result;
+        }
+
+        const { EI, TF, JP } = info.letters;
+
+        // E/I 影響漸層方向
+        if (params.gradientByEI) {
+            result.gradientDirection = EI === 'E' ? 'to-bottom-right' : 'to-bottom';
+        }
+
+        // T/F 影響星星數量
+        if (params.starsByTF) {
+            result.starCount = TF === 'T' ? params.starsT : params.starsF;
+        }
+
+        // P/J 影響流星頻率
+        if (params.shootingByPJ) {
+            result.shootingCount = JP === 'P' ? params.shootingP : params.shootingJ;
+        }
+
+        for (const rule of this.sortRules(params.rules || [])) {
+            if (!this.matches(rule.condition, info)) continue;
+
+            for (const key of OUTPUT_KEYS) {
+                if (rule.set && rule.set[key] !== undefined && rule.set[key] !== null) {
+                    result[key] = rule.set[key];
+                    if (!result.ruleOutputs.includes(key)) result.ruleOutputs.push(key);
+                }
+            }
+            result.appliedRules.push(rule.match);
+        }
+
+        return result;
+    }
+
+    /**
+     * 16 種類型（可指定身分）的計算結果，給設定頁面預覽
+     * @param {object} params - mbtiVisualParams 設定
+     * @param {string|null} identity - 'A'、'T' 或 null
+     */
+    preview(params, identity = null) {
+        return ALL_MBTI.map(type => {
+            const code = identity ? `${type}-${identity}` : type;
+            return { mbti: code, ...this.resolve(code, params) };
+        });
+    }
+
+    /**
+     * 排序：具體程度低的先套用，同樣具體時排在後面的先套用（讓前面的最後覆蓋）
+     */
+    sortRules(rules) {
+        return rules
+            .map((rule, index) => ({ ...rule, index, condition: this.parseMatch(rule.match) }))
+            .filter(rule => rule.condition && rule.enabled !== false)
+            .sort((a, b) => a.condition.specificity - b.condition.specificity || b.index - a.index);
+    }
+
+    /**
+     * 解析規則條件
+     * @param {string} match - 例如 'NF'、'INFP-T'、'-A'
+     * @returns {{ letters: object, identity: string|null, specificity: number }|null} - 寫法錯誤回傳 null
+     */
+    parseMatch(match) {
+        if (typeof match !== 'string') return null;
+
+        const parsed = match.trim().toUpperCase().match(/^([EISNTFJP]{0,4})(?:-([AT]))?$/);
+        if (!parsed || (!parsed[1] && !parsed[2])) return null;
+
+        const letters = {};
+        for (const letter of parsed[1]) {
+            const dimension = DIMENSIONS[letter];
+            // 同一個維度不能出現兩次（例如 EI）
+            if (letters[dimension]) return null;
+            letters[dimension] = letter;
+        }
+
+        const identity = parsed[2] || null;
+        return {
+            letters,
+            identity,
+            specificity: Object.keys(letters).length + (identity ? 1 : 0)
+        };
+    }
+
+    matches(condition, info) {
+        if (condition.identity && condition.identity !== info.identity) return false;
+        return Object.entries(condition.letters).every(([dimension, letter]) => info.letters[dimension] === letter);
+    }
+}
+
+module.exports = new VisualRules();
+module.exports.DEFAULT_OUTPUTS = DEFAULT_OUTPUTS;
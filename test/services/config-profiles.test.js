@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigProfiles = require('../../server/services/config-profiles');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'soultalk-profiles-'));
+const profiles = new ConfigProfiles(dir);
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('讀過的設定檔不再讀硬碟', (t) => {
+    profiles.save({ id: 'christmas', name: '聖誕節', overrides: { customEnding: { enabled: true } } });
+    profiles.cache.clear();
+
+    const read = t.mock.method(fs, 'readFileSync');
+    assert.strictEqual(profiles.get('christmas').name, '聖誕節');
+    assert.strictEqual(profiles.get('christmas').name, '聖誕節');
+    assert.ok(profiles.exists('christmas'));
+    assert.strictEqual(read.mock.callCount(), 1);
+});
+
+test('save() 與 remove() 會更新快取', () => {
+    profiles.save({ id: 'valentine', name: '情人節', overrides: {} });
+    assert.strictEqual(profiles.get('valentine').name, '情人節');
+
+    profiles.save({ id: 'valentine', name: '情人節 2027' });
+    assert.strictEqual(profiles.get('valentine').name, '情人節 2027');
+
+    assert.ok(profiles.remove('valentine'));
+    assert.strictEqual(profiles.get('valentine'), null);
+    assert.strictEqual(profiles.exists('valentine'), false);
+});
+
+test('不能覆蓋的區塊會被拒絕', () => {
+    assert.throws(() => profiles.save({ id: 'bad', overrides: { notifications: {} } }), /notifications/);
+    assert.throws(() => profiles.save({ id: 'Bad ID', overrides: {} }), /設定檔 ID/);
+});
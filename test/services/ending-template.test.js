@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const endingTemplate = require('../../server/services/ending-template');
+
+test('{#if gender=女} 也符合 Ragic 的「女性」', () => {
+    const template = '{#if gender=女}給她{else}給他{/if}';
+    assert.strictEqual(endingTemplate.render(template, { gender: '女性' }), '給她');
+    assert.strictEqual(endingTemplate.render(template, { gender: '男性' }), '給他');
+    assert.strictEqual(endingTemplate.render(template, { gender: 'F' }), '給她');
+});
+
+test('{#if gender!=女} 反向比較', () => {
+    assert.strictEqual(endingTemplate.render('{#if gender!=女}A{else}B{/if}', { gender: '女性' }), 'B');
+    assert.strictEqual(endingTemplate.render('{#if gender!=女}A{else}B{/if}', { gender: 'male' }), 'A');
+});
+
+test('其他變數的比較不分大小寫', () => {
+    assert.strictEqual(endingTemplate.render('{#if mbti=infp}是{else}否{/if}', { mbti: 'INFP-T' }), '是');
+});
+
+test('變數預設值與單獨一行的區塊不留空行', () => {
+    const template = '{name|朋友}\n{#if songTitle}\n《{songTitle}》\n{/if}\n晚安';
+    assert.strictEqual(endingTemplate.render(template, {}), '朋友\n晚安');
+    assert.strictEqual(endingTemplate.render(template, { name: '小明', songTitle: '星空' }), '小明\n《星空》\n晚安');
+});
+
+test('語法錯誤與不支援的變數', () => {
+    assert.throws(() => endingTemplate.parse('{#if name}沒有結尾'), endingTemplate.TemplateSyntaxError);
+    assert.deepStrictEqual(endingTemplate.validate('{name}'), []);
+    assert.strictEqual(endingTemplate.validate('{unknown}').length, 1);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const endingVariants = require('../../server/services/ending-variants');
+
+const ending = {
+    template: '預設結尾',
+    variants: [
+        { id: 'all', template: '不限' },
+        { id: 'female', gender: 'female', template: '給她' },
+        { id: 'nf', mbti: 'NF', template: 'NF' },
+        { id: 'nf-female', mbti: 'NF', gender: 'female', template: 'NF 給她' },
+        { id: 'infp', mbti: 'INFP', template: 'INFP' },
+        { id: 'off', mbti: 'ISTJ', template: '停用', weight: 0 }
+    ]
+};
+
+test('依序往下找：類型 > 群組 + 性別 > 群組 > 性別 > 不限', () => {
+    assert.strictEqual(endingVariants.select(ending, { mbti: 'INFP-T', gender: '女性' }, 'x').id, 'infp');
+    assert.strictEqual(endingVariants.select(ending, { mbti: 'ENFJ', gender: '女' }, 'x').id, 'nf-female');
+    assert.strictEqual(endingVariants.select(ending, { mbti: 'ENFJ', gender: '男性' }, 'x').id, 'nf');
+    assert.strictEqual(endingVariants.select(ending, { mbti: 'ESTP', gender: 'F' }, 'x').id, 'female');
+    assert.strictEqual(endingVariants.select(ending, { mbti: 'ESTP' }, 'x').id, 'all');
+});
+
+test('weight 為 0 的版本不會被選到，沒有版本時用 customEnding.template', () => {
+    const only = { template: '預設結尾', variants: [{ id: 'off', mbti: 'ISTJ', template: '停用', weight: 0 }] };
+    assert.deepStrictEqual(endingVariants.select(only, { mbti: 'ISTJ' }, 'x'), {
+        id: endingVariants.DEFAULT_VARIANT_ID,
+        template: '預設結尾',
+        bucket: endingVariants.DEFAULT_VARIANT_ID
+    });
+});
+
+test('機率依 weight 計算', () => {
+    const weighted = { variants: [{ id: 'a', template: 'A', weight: 3 }, { id: 'b', template: 'B', weight: 1 }] };
+    const { bucket, candidates } = endingVariants.resolve(weighted, {});
+    assert.strictEqual(bucket, '*');
+    assert.deepStrictEqual(candidates.map(v => [v.id, v.probability]), [['a', 0.75], ['b', 0.25]]);
+});
+
+test('pickWeighted 依累計權重選擇', () => {
+    const candidates = [{ id: 'a', weight: 3 }, { id: 'b', weight: 1 }];
+    assert.strictEqual(endingVariants.pickWeighted(candidates, () => 0).id, 'a');
+    assert.strictEqual(endingVariants.pickWeighted(candidates, () => 0.74).id, 'a');
+    assert.strictEqual(endingVariants.pickWeighted(candidates, () => 0.75).id, 'b');
+    assert.strictEqual(endingVariants.pickWeighted(candidates, () => 0.99).id, 'b');
+});
+
+test('同一個種子一定選到同一個版本，不同種子依權重分布', () => {
+    const weighted = { variants: [{ id: 'a', template: 'A', weight: 3 }, { id: 'b', template: 'B', weight: 1 }] };
+    const first = endingVariants.select(weighted, {}, 'SOUL-001').id;
+    for (let i = 0; i < 5; i++) {
+        assert.strictEqual(endingVariants.select(weighted, {}, 'SOUL-001').id, first);
+    }
+
+    const counts = { a: 0, b: 0 };
+    for (let i = 0; i < 2000; i++) {
+        counts[endingVariants.select(weighted, {}, `SOUL-${i}`).id]++;
+    }
+    assert.ok(counts.a / 2000 > 0.7 && counts.a / 2000 < 0.8, JSON.stringify(counts));
+});
+
+test('性別別名與 MBTI 群組', () => {
+    assert.strictEqual(endingVariants.normalizeGender(' 女性 '), 'female');
+    assert.strictEqual(endingVariants.normalizeGender('M'), 'male');
+    assert.strictEqual(endingVariants.normalizeGender('其他'), null);
+    assert.strictEqual(endingVariants.getGroup('INFP'), 'NF');
+    assert.strictEqual(endingVariants.getGroup('ISTJ'), 'SJ');
+    assert.strictEqual(endingVariants.getGroup(null), null);
+});
@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.CONFIG_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'soultalk-config-'));
+process.env.JOBS_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'soultalk-jobs-'));
+process.env.JOB_CONCURRENCY = '1';
+
+// 服務的 console 輸出和測試結果混在一起不好讀
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+// 上次伺服器停掉時留下的工作：一個執行到一半、一個還在排隊、一個已經完成
+const now = new Date().toISOString();
+const savedJob = (id, status, fields = {}) => ({
+    id, type: 'resumable', status, progress: 0, stage: null, stages: [], params: { id },
+    profile: '', attempts: 0, maxAttempts: 1, state: null, result: null, error: null, runAfter: null,
+    createdAt: now, updatedAt: now, startedAt: null, finishedAt: null, ...fields
+});
+for (const job of [
+    savedJob('interrupted', 'running', { attempts: 1, maxAttempts: 2, state: { step: 3 } }),
+    savedJob('waiting', 'queued'),
+    savedJob('finished', 'done', { result: 'old' })
+]) {
+    fs.writeFileSync(path.join(process.env.JOBS_PATH, `${job.id}.json`), JSON.stringify(job));
+}
+
+const jobQueue = require('../../server/services/job-queue');
+const { JobStateError } = jobQueue;
+
+// 等到工作符合條件（例如失敗後排定重試）
+function waitFor(id, predicate) {
+    return new Promise(resolve => {
+        const check = job => {
+            if (job.id === id && predicate(job)) {
+                jobQueue.off('update', check);
+                resolve(job);
+            }
+        };
+        jobQueue.on('update', check);
+        check(jobQueue.get(id));
+    });
+}
+
+test.after(() => {
+    fs.rmSync(process.env.CONFIG_PATH, { recursive: true, force: true });
+    fs.rmSync(process.env.JOBS_PATH, { recursive: true, force: true });
+});
+
+test('重開後接續 queued / running 的工作，state 還在', async () => {
+    const seen = [];
+    jobQueue.registerHandler('resumable', async (params, { job }) => {
+        seen.push({ id: params.id, state: job.state });
+        return `done:${params.id}`;
+    });
+
+    assert.strictEqual(jobQueue.resume(), 2);
+    const interrupted = await jobQueue.wait('interrupted');
+    const waiting = await jobQueue.wait('waiting');
+
+    assert.strictEqual(interrupted.status, 'done');
+    // 中斷的那次不算失敗，這次是第 2 次執行
+    assert.strictEqual(interrupted.attempts, 2);
+    assert.strictEqual(waiting.result, 'done:waiting');
+    assert.deepStrictEqual(seen, [{ id: 'interrupted', state: { step: 3 } }, { id: 'waiting', state: null }]);
+    assert.strictEqual(jobQueue.get('finished').result, 'old');
+});
+
+test('完成的工作寫進檔案，進度 100', async () => {
+    jobQueue.registerHandler('echo', async params => params.value);
+    const job = jobQueue.add('echo', { value: 42 });
+    const finished = await jobQueue.wait(job.id);
+
+    assert.strictEqual(finished.status, 'done');
+    assert.strictEqual(finished.progress, 100);
+    const saved = JSON.parse(fs.readFileSync(path.join(process.env.JOBS_PATH, `${job.id}.json`), 'utf8'));
+    assert.strictEqual(saved.result, 42);
+});
+
+test('失敗時在 maxAttempts 內排定重試，用完變成 failed，手動重跑再給一輪', async () => {
+    let calls = 0;
+    jobQueue.registerHandler('flaky', async () => {
+        calls++;
+        if (calls < 4) throw new Error(`第 ${calls} 次失敗`);
+        return 'ok';
+    }, { maxAttempts: 2 });
+
+    const job = jobQueue.add('flaky');
+    const queued = await waitFor(job.id, j => j.status === 'queued' && j.error);
+    assert.strictEqual(queued.error, '第 1 次失敗');
+    // 第一次重試等 5 秒
+    const delay = Date.parse(queued.runAfter) - Date.now();
+    assert.ok(delay > 4000 && delay <= 5000, `delay ${delay}`);
+
+    // 假裝時間到了
+    queued.runAfter = new Date(Date.now() - 1).toISOString();
+    jobQueue.pump();
+    const failed = await jobQueue.wait(job.id);
+    assert.strictEqual(failed.status, 'failed');
+    assert.strictEqual(failed.attempts, 2);
+    assert.strictEqual(failed.error, '第 2 次失敗');
+
+    jobQueue.retry(job.id);
+    assert.strictEqual(jobQueue.get(job.id).maxAttempts, 4);
+    const retried = await waitFor(job.id, j => j.status === 'queued' && j.error);
+    assert.strictEqual(retried.attempts, 3);
+    retried.runAfter = new Date(Date.now() - 1).toISOString();
+    jobQueue.pump();
+
+    const done = await jobQueue.wait(job.id);
+    assert.strictEqual(done.status, 'done');
+    assert.strictEqual(done.attempts, 4);
+    assert.strictEqual(done.error, null);
+});
+
+test('只有失敗的工作可以重跑', async () => {
+    const job = jobQueue.add('echo', { value: 1 });
+    await jobQueue.wait(job.id);
+    assert.throws(() => jobQueue.retry(job.id), JobStateError);
+    assert.strictEqual(jobQueue.retry('missing'), null);
+});
+
+test('互動工作不佔名額、不寫檔案', async () => {
+    let release;
+    jobQueue.registerHandler('blocking', () => new Promise(resolve => { release = resolve; }));
+    jobQueue.registerHandler('page', async () => 'page', { interactive: true });
+
+    const blocking = jobQueue.add('blocking');
+    const queuedBehind = jobQueue.add('echo', { value: 2 });
+    const page = jobQueue.add('page');
+
+    assert.strictEqual((await jobQueue.wait(page.id)).result, 'page');
+    assert.strictEqual(jobQueue.get(queuedBehind.id).status, 'queued');
+    assert.ok(!fs.existsSync(path.join(process.env.JOBS_PATH, `${page.id}.json`)));
+
+    release('done');
+    assert.strictEqual((await jobQueue.wait(blocking.id)).status, 'done');
+    assert.strictEqual((await jobQueue.wait(queuedBehind.id)).result, 2);
+});
+
+test('工作中呼叫 stage() 記錄階段與進度，不在工作中時不做事', async () => {
+    jobQueue.registerHandler('staged', async () => {
+        jobQueue.stage('ragic', '載入', 10);
+        jobQueue.stage('build', '產生', 90);
+        return jobQueue.current().id;
+    });
+    jobQueue.stage('ignored', '不在工作中');
+
+    const job = jobQueue.add('staged');
+    const finished = await jobQueue.wait(job.id);
+    assert.strictEqual(finished.result, job.id);
+    assert.deepStrictEqual(finished.stages.map(s => s.stage), ['ragic', 'build']);
+    assert.strictEqual(jobQueue.current(), null);
+});
+
+test('結束的工作超過 200 筆時刪除最舊的', async () => {
+    const first = jobQueue.add('echo', { value: 'first' });
+    await jobQueue.wait(first.id);
+    // 依結束時間排序，讓後面的工作確實比較新
+    await new Promise(resolve => setTimeout(resolve, 5));
+    for (let i = 0; i < 200; i++) {
+        await jobQueue.wait(jobQueue.add('page').id);
+    }
+    assert.strictEqual(jobQueue.get(first.id), null);
+    assert.ok(!fs.existsSync(path.join(process.env.JOBS_PATH, `${first.id}.json`)));
+    assert.strictEqual(jobQueue.list({ status: 'done' }).length, 200);
+});
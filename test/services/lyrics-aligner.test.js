@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.CONFIG_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'soultalk-config-'));
+
+// 服務的 console 輸出和測試結果混在一起不好讀
+test.mock.method(console, 'log', () => {});
+
+const lyricsAligner = require('../../server/services/lyrics-aligner');
+
+test.after(() => fs.rmSync(process.env.CONFIG_PATH, { recursive: true, force: true }));
+
+// 一段 0~10 秒的人聲區段
+const cumulative = [{ region: { start: 0, end: 10 }, from: 0, to: 10 }];
+
+test('英文一個單字一筆，標點和空白附在前一筆', () => {
+    const words = lyricsAligner.alignCharacters("I don't know, ok!", cumulative, 0, 6);
+    assert.deepStrictEqual(words.map(w => w.text), ['I ', "don't ", 'know, ', 'ok!']);
+    assert.deepStrictEqual(words.map(w => w.end - w.start), [1.5, 1.5, 1.5, 1.5]);
+});
+
+test('逐字時間和行的權重用同樣的單位', () => {
+    const line = 'Hello 世界 again';
+    const weight = lyricsAligner.lineWeight(line);
+    assert.strictEqual(weight, 1.5 + 2 + 1.5);
+
+    // 每單位一秒時，每筆的長度就是它的權重
+    const words = lyricsAligner.alignCharacters(line, cumulative, 0, weight);
+    assert.deepStrictEqual(words.map(w => w.text), ['Hello ', '世', '界 ', 'again']);
+    assert.deepStrictEqual(words.map(w => w.end - w.start), [1.5, 1, 1, 1.5]);
+    assert.strictEqual(words[words.length - 1].end, weight);
+});
+
+test('中英混排不會把中文併進英文單字', () => {
+    assert.deepStrictEqual(lyricsAligner.splitUnits('愛你love你').map(u => u.weight), [1, 1, 1.5, 1]);
+    assert.strictEqual(lyricsAligner.lineWeight('……'), 1);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const lyricsParser = require('../../server/services/lyrics-parser');
+
+// 服務的 console 輸出和測試結果混在一起不好讀
+test.mock.method(console, 'log', () => {});
+
+const timeline = (content, options) => lyricsParser.parse(content, options).lyricsTimeline;
+
+test('LRC：下一行的開始時間就是結束時間，最後一行用歌曲長度', () => {
+    assert.deepStrictEqual(timeline('[00:01.00]第一句\n[00:05.50]第二句', { duration: 10 }), [
+        { start: 1, end: 5.5, text: '第一句' },
+        { start: 5.5, end: 10, text: '第二句' }
+    ]);
+});
+
+test('LRC：沒有歌曲長度時最後一行顯示 5 秒', () => {
+    assert.deepStrictEqual(timeline('[00:02.00]只有一句'), [{ start: 2, end: 7, text: '只有一句' }]);
+});
+
+test('LRC：空白行是上一行的結束標記', () => {
+    assert.deepStrictEqual(timeline('[00:01.00]a\n[00:04.00]\n[00:20.00]b', { duration: 30 }), [
+        { start: 1, end: 4, text: 'a' },
+        { start: 20, end: 30, text: 'b' }
+    ]);
+});
+
+test('LRC：同一行多個時間標記會展開並排序', () => {
+    assert.deepStrictEqual(timeline('[00:10.00][00:01.00]副歌\n[00:05.00]主歌', { duration: 12 }), [
+        { start: 1, end: 5, text: '副歌' },
+        { start: 5, end: 10, text: '主歌' },
+        { start: 10, end: 12, text: '副歌' }
+    ]);
+});
+
+test('LRC：[offset:+500] 讓歌詞提早 0.5 秒，並記在 meta', () => {
+    const result = lyricsParser.parse('[offset:+500]\n[00:01.00]a\n[00:03.00]b', { duration: 5 });
+    assert.strictEqual(result.meta.offset, 500);
+    assert.deepStrictEqual(result.lyricsTimeline, [
+        { start: 0.5, end: 2.5, text: 'a' },
+        { start: 2.5, end: 5, text: 'b' }
+    ]);
+});
+
+test('LRC：逐字時間，最後一個字到行尾結束', () => {
+    assert.deepStrictEqual(timeline('[00:01.00]<00:01.00>星<00:01.50>空\n[00:03.00]完', { duration: 4 })[0], {
+        start: 1,
+        end: 3,
+        text: '星空',
+        words: [
+            { start: 1, end: 1.5, text: '星' },
+            { start: 1.5, end: 3, text: '空' }
+        ]
+    });
+});
+
+test('SRT：使用字幕本身的結束時間並去掉標籤', () => {
+    const srt = '1\n00:00:01,000 --> 00:00:02,500\n<i>第一句</i>\n\n2\n00:00:04,000 --> 00:00:06,000\n第二句\n';
+    assert.deepStrictEqual(timeline(srt), [
+        { start: 1, end: 2.5, text: '第一句' },
+        { start: 4, end: 6, text: '第二句' }
+    ]);
+});
+
+test('VTT：略過 NOTE 區塊，支援沒有小時的時間', () => {
+    const vtt = 'WEBVTT\n\nNOTE 註解\n\n00:01.000 --> 00:02.000\n第一句\n\n00:00:03.000 --> 00:00:04.500\n第二句\n';
+    assert.strictEqual(lyricsParser.parse(vtt).format, 'vtt');
+    assert.deepStrictEqual(timeline(vtt), [
+        { start: 1, end: 2, text: '第一句' },
+        { start: 3, end: 4.5, text: '第二句' }
+    ]);
+});
+
+test('無法判斷格式或沒有任何歌詞時丟出錯誤', () => {
+    assert.throws(() => lyricsParser.parse('沒有時間的歌詞'), /無法判斷歌詞格式/);
+    assert.throws(() => lyricsParser.parse('[00:01.00]\n[00:02.00]'), /沒有解析到任何有時間的歌詞/);
+});
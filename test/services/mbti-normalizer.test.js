@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mbtiNormalizer = require('../../server/services/mbti-normalizer');
+
+test('Ragic 常見的寫法都轉成四個字母', () => {
+    for (const value of ['INFP', 'infp', ' INFP-T ', 'INFP_T', 'INFP / A', 'ＩＮＦＰ－Ｔ', 'INFP（調停者）', '我是 INFP']) {
+        assert.strictEqual(mbtiNormalizer.toType(value), 'INFP', value);
+    }
+});
+
+test('保留身分後綴與各個字母', () => {
+    assert.deepStrictEqual(mbtiNormalizer.normalize('enfj-a'), {
+        type: 'ENFJ',
+        identity: 'A',
+        letters: { EI: 'E', SN: 'N', TF: 'F', JP: 'J' },
+        code: 'ENFJ-A',
+        raw: 'enfj-a'
+    });
+    assert.strictEqual(mbtiNormalizer.normalize('ISTJ').identity, null);
+    assert.strictEqual(mbtiNormalizer.getIdentityLabel('T'), '動盪型');
+});
+
+test('無法辨識時回傳 null', () => {
+    for (const value of [null, undefined, '', 'XNFP', 'INF', 'ABCINFPXYZ']) {
+        assert.strictEqual(mbtiNormalizer.toType(value), null, String(value));
+    }
+});
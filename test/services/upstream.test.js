@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+process.env.CONFIG_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'soultalk-config-'));
+delete process.env.UPSTREAM_MODE;
+delete process.env.UPSTREAM_FIXTURES_PATH;
+
+// 服務的 console 輸出和測試結果混在一起不好讀
+test.mock.method(console, 'log', () => {});
+test.mock.method(console, 'error', () => {});
+
+const configManager = require('../../server/services/config-manager');
+const upstream = require('../../server/services/upstream');
+const { UpstreamUnavailableError } = upstream;
+
+// 測試用的伺服器：依序回傳 statuses 裡的狀態碼（用完後一直回傳最後一個）
+function startServer(statuses) {
+    const server = http.createServer((req, res) => {
+        const status = statuses[Math.min(server.requests, statuses.length - 1)];
+        server.requests++;
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ status }));
+    });
+    server.requests = 0;
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        server.url = `http://127.0.0.1:${server.address().port}/`;
+        resolve(server);
+    }));
+}
+
+function useSettings(settings) {
+    configManager.config.upstream = {
+        ...configManager.getDefaultConfig().upstream,
+        targets: { test: { timeoutMs: 2000, retries: 1 } },
+        circuitBreaker: { failureThreshold: 0, resetSeconds: 30 },
+        ...settings
+    };
+    upstream.resetBreakers();
+}
+
+test.after(() => fs.rmSync(process.env.CONFIG_PATH, { recursive: true, force: true }));
+
+test('GET 遇到 5xx 會重試，成功就回傳', async () => {
+    useSettings({});
+    const server = await startServer([503, 200]);
+    const response = await upstream.fetch(server.url, { target: 'test' });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(server.requests, 2);
+    server.close();
+});
+
+test('重試次數用完時回傳最後一次的 5xx 回應', async () => {
+    useSettings({});
+    const server = await startServer([500]);
+    const response = await upstream.fetch(server.url, { target: 'test' });
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual(server.requests, 2);
+    server.close();
+});
+
+test('POST 不會重送，標明 idempotent 才會', async () => {
+    useSettings({});
+    const server = await startServer([503]);
+    const response = await upstream.fetch(server.url, { method: 'POST', target: 'test', body: '{}' });
+    assert.strictEqual(response.status, 503);
+    assert.strictEqual(server.requests, 1);
+
+    await upstream.fetch(server.url, { method: 'POST', target: 'test', body: '{}', idempotent: true });
+    assert.strictEqual(server.requests, 3);
+    server.close();
+});
+
+test('4xx 不重試', async () => {
+    useSettings({});
+    const server = await startServer([404]);
+    const response = await upstream.fetch(server.url, { target: 'test' });
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual(server.requests, 1);
+    server.close();
+});
+
+test('斷路器：連續失敗達門檻後直接失敗，時間到放行一個請求，成功就恢復', async () => {
+    useSettings({ targets: { test: { timeoutMs: 2000, retries: 0 } }, circuitBreaker: { failureThreshold: 2, resetSeconds: 30 } });
+    const server = await startServer([500, 500, 200]);
+    const host = upstream.getHost(server.url);
+
+    await upstream.fetch(server.url, { target: 'test' });
+    assert.strictEqual(upstream.getBreakerStatus()[0].state, 'closed');
+    await upstream.fetch(server.url, { target: 'test' });
+    assert.strictEqual(upstream.getBreakerStatus()[0].state, 'open');
+
+    await assert.rejects(upstream.fetch(server.url, { target: 'test' }), UpstreamUnavailableError);
+    assert.strictEqual(server.requests, 2);
+
+    // 假裝 resetSeconds 已經過了
+    upstream.breakers.get(host).openUntil = Date.now() - 1;
+    assert.strictEqual(upstream.getBreakerStatus()[0].state, 'half-open');
+
+    const probe = upstream.fetch(server.url, { target: 'test' });
+    // 試探中的請求還沒結束，其他請求仍直接失敗
+    await assert.rejects(upstream.fetch(server.url, { target: 'test' }), UpstreamUnavailableError);
+    assert.strictEqual((await probe).status, 200);
+    assert.deepStrictEqual(upstream.getBreakerStatus(), []);
+    server.close();
+});
+
+test('斷路器：試探的請求失敗時馬上再斷開', async () => {
+    useSettings({ targets: { test: { timeoutMs: 2000, retries: 0 } }, circuitBreaker: { failureThreshold: 2, resetSeconds: 30 } });
+    const server = await startServer([500]);
+    const host = upstream.getHost(server.url);
+
+    await upstream.fetch(server.url, { target: 'test' });
+    await upstream.fetch(server.url, { target: 'test' });
+    upstream.breakers.get(host).openUntil = Date.now() - 1;
+
+    await upstream.fetch(server.url, { target: 'test' });
+    assert.strictEqual(upstream.getBreakerStatus()[0].state, 'open');
+    await assert.rejects(upstream.fetch(server.url, { target: 'test' }), UpstreamUnavailableError);
+    assert.strictEqual(server.requests, 3);
+    server.close();
+});
+
+test('錄製後可以不連網路重播，fixtureKey 取代內容比對', async () => {
+    const fixturesPath = fs.mkdtempSync(path.join(os.tmpdir(), 'soultalk-fixtures-'));
+    const server = await startServer([201]);
+
+    useSettings({ mode: 'record', fixturesPath });
+    const recorded = await upstream.fetch(server.url, { method: 'POST', target: 'test', body: 'a', fixtureKey: 'mv:DEMO' });
+    assert.deepStrictEqual(await recorded.json(), { status: 201 });
+    server.close();
+
+    useSettings({ mode: 'replay', fixturesPath });
+    const replayed = await upstream.fetch(server.url, { method: 'POST', target: 'test', body: 'b', fixtureKey: 'mv:DEMO' });
+    assert.strictEqual(replayed.status, 201);
+    assert.deepStrictEqual(await replayed.json(), { status: 201 });
+    await assert.rejects(upstream.fetch(`${server.url}other`, { target: 'test' }), /找不到錄製資料/);
+    assert.strictEqual(server.requests, 1);
+
+    fs.rmSync(fixturesPath, { recursive: true, force: true });
+});
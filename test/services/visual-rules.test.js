@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const visualRules = require('../../server/services/visual-rules');
+
+const rule = (match, set, extra = {}) => ({ match, set, ...extra });
+
+test('停用或無法辨識的 MBTI 回傳預設值', () => {
+    const result = visualRules.resolve('INFP', { enabled: false, rules: [rule('N', { starCount: 1 })] });
+    assert.strictEqual(result.starCount, visualRules.DEFAULT_OUTPUTS.starCount);
+    assert.deepStrictEqual(visualRules.resolve('???', { enabled: true }).appliedRules, []);
+});
+
+test('三個基本對應', () => {
+    const params = {
+        enabled: true,
+        gradientByEI: true,
+        starsByTF: true, starsT: 40, starsF: 80,
+        shootingByPJ: true, shootingP: 5, shootingJ: 2
+    };
+    const result = visualRules.resolve('INFP', params);
+    assert.strictEqual(result.gradientDirection, 'to-bottom');
+    assert.strictEqual(result.starCount, 80);
+    assert.strictEqual(result.shootingCount, 5);
+    assert.deepStrictEqual(result.ruleOutputs, []);
+});
+
+test('越具體的規則越優先，不管在規則表的順序', () => {
+    const params = {
+        enabled: true,
+        rules: [
+            rule('INFP', { starCount: 100 }),
+            rule('NF', { starCount: 70, particleColor: '#ffccee' }),
+            rule('N', { starCount: 50, animationSpeed: 2 })
+        ]
+    };
+    const result = visualRules.resolve('INFP', params);
+    assert.strictEqual(result.starCount, 100);
+    assert.strictEqual(result.particleColor, '#ffccee');
+    assert.strictEqual(result.animationSpeed, 2);
+    // 由不具體到具體依序套用
+    assert.deepStrictEqual(result.appliedRules, ['N', 'NF', 'INFP']);
+    assert.deepStrictEqual(result.ruleOutputs.sort(), ['animationSpeed', 'particleColor', 'starCount']);
+});
+
+test('一樣具體時排在前面的優先', () => {
+    const params = { enabled: true, rules: [rule('NF', { starCount: 10 }), rule('IN', { starCount: 20 })] };
+    assert.strictEqual(visualRules.resolve('INFP', params).starCount, 10);
+});
+
+test('身分也算一個條件，停用的規則略過', () => {
+    const params = {
+        enabled: true,
+        rules: [
+            rule('NF', { starCount: 10 }),
+            rule('NF-T', { starCount: 30 }),
+            rule('INFP', { starCount: 99 }, { enabled: false })
+        ]
+    };
+    assert.strictEqual(visualRules.resolve('INFP-T', params).starCount, 30);
+    assert.strictEqual(visualRules.resolve('INFP-A', params).starCount, 10);
+});
+
+test('條件寫法檢查', () => {
+    assert.deepStrictEqual(visualRules.parseMatch('nf-t'), { letters: { SN: 'N', TF: 'F' }, identity: 'T', specificity: 3 });
+    assert.strictEqual(visualRules.parseMatch('-A').specificity, 1);
+    for (const invalid of ['', 'EI', 'INFPX', 'X', '-X', null]) {
+        assert.strictEqual(visualRules.parseMatch(invalid), null, String(invalid));
+    }
+});